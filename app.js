@@ -1,6 +1,7 @@
+// Loaded first: modules read their settings when imported
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
 import mongoose from "mongoose";
 import { fileURLToPath } from "url";
@@ -13,20 +14,77 @@ import {
   categoryRoutes,
   commentRoutes,
   uploadRoutes,
+  revisionRoutes,
+  reactionRoutes,
+  bookmarkRoutes,
+  readingListRoutes,
+  seriesRoutes,
+  tagRoutes,
+  jobRoutes,
+  trashRoutes,
+  importRoutes,
+  backupRoutes,
+  feedRoutes,
+  sitemapRoutes,
+  previewRoutes,
+  reviewRoutes,
 } from "./routes/index.js";
 import { connectDB } from "./config/db.js";
+import Post from "./models/post.model.js";
+import { registerJobs } from "./jobs/index.js";
+import { startWorker } from "./utils/queue.js";
+import { startTrashSweep } from "./utils/trash.js";
 
-dotenv.config();
 // MongoDB Configuration
 mongoose.set("strictQuery", true);
 connectDB();
 
+// Upgrade posts saved before full-text search, managed tags and
+// translations existed
+mongoose.connection.once("open", () => {
+  Post.backfillSearchIndex()
+    .then((count) => {
+      if (count > 0) console.log(`🔎 Indexed ${count} posts for search`);
+    })
+    .then(() => Post.normalizeTags())
+    .then((count) => {
+      if (count > 0) console.log(`🏷️ Normalized tags of ${count} posts`);
+    })
+    .then(() => Post.backfillTranslations())
+    .then((count) => {
+      if (count > 0) console.log(`🌐 Grouped ${count} posts for translations`);
+    })
+    .catch((error) => console.error("❌ Failed to upgrade posts:", error));
+});
+
+// Background jobs run in this process unless a separate worker handles them
+registerJobs();
+if (process.env.JOB_WORKER !== "false") {
+  startWorker();
+  startTrashSweep();
+}
+
 const app = express();
 const port = process.env.PORT || 8080;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const allowedOrigins = process.env.CLIENT_URL.split(',');
 
+// Behind a reverse proxy, readers' IP addresses are read from the
+// X-Forwarded-For header it sets, so views are counted once per reader.
+// Set to "true", a number of hops, or the proxies' addresses.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== "false") {
+  app.set(
+    "trust proxy",
+    trustProxy === "true"
+      ? true
+      : /^\d+$/.test(trustProxy)
+      ? Number(trustProxy)
+      : trustProxy
+  );
+}
+
 // Middleware
 app.use(express.json());
 app.use(cookieParser());
@@ -50,6 +108,20 @@ const routes = [
   categoryRoutes,
   commentRoutes,
   uploadRoutes,
+  revisionRoutes,
+  reactionRoutes,
+  bookmarkRoutes,
+  readingListRoutes,
+  seriesRoutes,
+  tagRoutes,
+  jobRoutes,
+  trashRoutes,
+  importRoutes,
+  backupRoutes,
+  feedRoutes,
+  sitemapRoutes,
+  previewRoutes,
+  reviewRoutes,
 ];
 
 routes.forEach((router) => app.use("/api", router));
@@ -0,0 +1,32 @@
+import Redis from "ioredis";
+
+let client = null;
+
+/**
+ * @desc Shared Redis connection, opened on first use
+ * @returns {Redis} The ioredis client
+ */
+export const getRedis = () => {
+  if (client) return client;
+
+  const {
+    REDIS_HOSTNAME = "localhost",
+    REDIS_PORT = 6379,
+    REDIS_PASSWORD,
+  } = process.env;
+
+  client = new Redis({
+    host: REDIS_HOSTNAME,
+    port: Number(REDIS_PORT),
+    password: REDIS_PASSWORD || undefined,
+  });
+
+  client.on("ready", () =>
+    console.log(`✅ Successfully connected to Redis: ${REDIS_HOSTNAME}`)
+  );
+  client.on("error", (err) =>
+    console.error(`❌ Redis connection error: ${err.message}`)
+  );
+
+  return client;
+};
@@ -4,12 +4,14 @@ import User from "../models/user.model.js";
 import {
   registerValidationSchema,
   loginValidationSchema,
+  roleValidationSchema,
 } from "../schemas/auth.js";
 import {
   generateAccessToken,
   generateRefreshToken,
 } from "../utils/generateToken.js";
-import { sendEmail } from "../utils/sendMail.js";
+import { enqueue } from "../utils/queue.js";
+import { moveToTrash } from "../utils/trash.js";
 
 /**
  * @desc Register a new user
@@ -39,7 +41,10 @@ export const register = async (req, res) => {
       });
     }
 
-    const existingUser = await User.findOne({ email });
+    // Trashed accounts keep their email until they are purged
+    const existingUser = await User.findOne({ email }).setOptions({
+      withDeleted: true,
+    });
     if (existingUser) {
       return res.status(400).json({
         meta: { message: "Email is already in use", errors: true },
@@ -337,6 +342,57 @@ export const updateStatus = async (req, res) => {
   }
 };
 
+/**
+ * @desc Update user role (e.g. grant the author role to a guest writer)
+ * @route PATCH /api/users/:id/role
+ * @access Private (Admin only)
+ */
+export const updateRole = async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  const { error } = roleValidationSchema.validate({ role });
+  if (error) {
+    return res.status(400).json({
+      meta: {
+        message: "Validation errors",
+        errors: error.details.map((err) => err.message),
+      },
+    });
+  }
+
+  // Admins cannot demote themselves and lock everyone out
+  if (id === req.user.id && role !== "admin") {
+    return res.status(400).json({
+      meta: { message: "You cannot change your own role", errors: true },
+    });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(
+      id,
+      { role },
+      { new: true, runValidators: true }
+    ).select("-password");
+
+    if (!user) {
+      return res.status(404).json({
+        meta: { message: "User not found", errors: true },
+      });
+    }
+
+    res.status(200).json({
+      meta: { message: "User role updated successfully" },
+      data: { user },
+    });
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    res.status(500).json({
+      meta: { message: "Error updating user role", errors: error.message },
+    });
+  }
+};
+
 /**
  * @desc Update user information
  * @route PUT /api/users/:id
@@ -388,15 +444,17 @@ export const remove = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const user = await User.findByIdAndDelete(id);
+    const user = await User.findById(id);
     if (!user) {
       return res.status(404).json({
         meta: { message: "User not found", errors: true },
       });
     }
 
+    await moveToTrash("users", user, req.user.id);
+
     res.status(200).json({
-      meta: { message: "User deleted successfully" },
+      meta: { message: "User moved to trash successfully" },
     });
   } catch (error) {
     console.error("Error deleting user:", error);
@@ -422,18 +480,10 @@ export const forgotPassword = async (req, res) => {
       });
     }
 
-    // Generate reset token (expires in 15 minutes)
-    const token = jwt.sign({ id: user._id }, process.env.RESET_TOKEN_SECRET, {
-      expiresIn: process.env.RESET_TOKEN_EXPIRE,
-    });
-
-    // Send email with reset link
-    const resetLink = `${process.env.CLIENT_URL}/reset-password?token=${token}`;
-    await sendEmail(
-      email,
-      "Password Reset Request",
-      "",
-      `<p>Click <a href="${resetLink}">here</a> to reset your password. This link will expire in 15 minutes.</p>`
+    // Send email with reset link in the background. The job signs the
+    // token itself, so no usable link is ever stored in the queue.
+    enqueue("auth.passwordReset", { userId: user._id.toString() }).catch(
+      (error) => console.error("Error queuing password reset email:", error)
     );
 
     res.status(200).json({
@@ -0,0 +1,74 @@
+import { createBackup, readBackup, restoreBackup } from "../utils/backup.js";
+
+/**
+ * @desc Download a zip archive of the posts (as Markdown with front
+ * matter), categories, comments and uploaded media
+ * @route GET /api/backup
+ * @access Private (Admin only)
+ */
+export const download = async (req, res) => {
+  try {
+    const { buffer } = await createBackup();
+    const date = new Date().toISOString().slice(0, 10);
+
+    res
+      .status(200)
+      .set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="blog-backup-${date}.zip"`,
+      })
+      .send(buffer);
+  } catch (error) {
+    console.error("Error creating backup:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error creating backup",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Restore a backup archive, overwriting the items it holds
+ * @route POST /api/backup/restore
+ * @access Private (Admin only)
+ */
+export const restore = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      meta: { message: "No file uploaded", errors: true },
+    });
+  }
+
+  let backup;
+  try {
+    backup = readBackup(req.file.buffer);
+  } catch (error) {
+    return res.status(400).json({
+      meta: { message: "Unreadable backup file", errors: error.message },
+    });
+  }
+
+  try {
+    const report = await restoreBackup(backup, req.user.id);
+
+    res.status(200).json({
+      meta: {
+        message:
+          report.failures.length > 0
+            ? "Backup restored with failures"
+            : "Backup restored successfully",
+      },
+      data: report,
+    });
+  } catch (error) {
+    console.error("Error restoring backup:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error restoring backup",
+        errors: error.message || error,
+      },
+    });
+  }
+};
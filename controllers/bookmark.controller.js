@@ -0,0 +1,145 @@
+import Bookmark from "../models/bookmark.model.js";
+import Post from "../models/post.model.js";
+import { bookmarkValidationSchema } from "../schemas/bookmark.js";
+
+/**
+ * @desc Get the current user's bookmarks (newest first)
+ * @route GET /api/bookmarks?page=&limit=
+ * @access Private
+ */
+export const list = async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  try {
+    // Posts unpublished or trashed since they were bookmarked are left out
+    // before paginating, so pages stay full and the total matches them
+    const bookmarked = await Bookmark.distinct("post", { user: req.user.id });
+    const visible = await Post.distinct("_id", {
+      ...Post.visibleTo(req.user),
+      _id: { $in: bookmarked },
+    });
+    const query = { user: req.user.id, post: { $in: visible } };
+
+    const bookmarks = await Bookmark.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit))
+      .populate({
+        path: "post",
+        select: "title slug description thumbnail category author publishAt",
+        populate: [
+          { path: "category", select: "name slug" },
+          { path: "author", select: "fullName" },
+        ],
+      });
+
+    const total = await Bookmark.countDocuments(query);
+
+    res.status(200).json({
+      meta: { message: "Bookmarks retrieved successfully" },
+      data: {
+        bookmarks,
+        pagination: {
+          currentPage: Number(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          perPage: Number(limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching bookmarks:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error fetching bookmarks",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Bookmark a post
+ * @route POST /api/bookmarks
+ * @access Private
+ */
+export const create = async (req, res) => {
+  const { post } = req.body;
+
+  try {
+    const { error } = bookmarkValidationSchema.validate({ post });
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    const postExists = await Post.exists({
+      _id: post,
+      ...Post.publishedFilter(),
+    });
+    if (!postExists) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Post not found", errors: true } });
+    }
+
+    // Bookmarking twice is a no-op
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { user: req.user.id, post },
+      { $setOnInsert: { user: req.user.id, post } },
+      { upsert: true, new: true }
+    );
+
+    res.status(201).json({
+      meta: { message: "Post bookmarked successfully" },
+      data: { bookmark },
+    });
+  } catch (error) {
+    console.error("Error creating bookmark:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error creating bookmark",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Remove a bookmark
+ * @route DELETE /api/bookmarks/:post
+ * @access Private
+ */
+export const remove = async (req, res) => {
+  const { post } = req.params;
+
+  try {
+    const bookmark = await Bookmark.findOneAndDelete({
+      user: req.user.id,
+      post,
+    });
+
+    if (!bookmark) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Bookmark not found", errors: true } });
+    }
+
+    res.status(200).json({
+      meta: { message: "Bookmark removed successfully" },
+      data: { bookmark: null },
+    });
+  } catch (error) {
+    console.error("Error removing bookmark:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error removing bookmark",
+        errors: error.message || error,
+      },
+    });
+  }
+};
@@ -2,6 +2,10 @@ import mongoose from "mongoose";
 import Category from "../models/category.model.js";
 import Post from "../models/post.model.js";
 import { categoryValidationSchema } from "../schemas/category.js";
+import { requestedLocale, DEFAULT_LOCALE } from "../utils/locale.js";
+import { moveToTrash } from "../utils/trash.js";
+import { categorySeo } from "../utils/seo.js";
+import { saveWithSlug } from "../utils/slug.js";
 
 /**
  * @desc Create a new category
@@ -9,11 +13,11 @@ import { categoryValidationSchema } from "../schemas/category.js";
  * @access private
  */
 export const create = async (req, res) => {
-  const { name, description } = req.body;
+  const { name, slug, description, translations, seo } = req.body;
 
   try {
     const { error } = categoryValidationSchema.validate(
-      { name, description },
+      { name, slug, description, translations, seo },
       { abortEarly: false }
     );
     if (error) {
@@ -25,12 +29,22 @@ export const create = async (req, res) => {
       });
     }
 
-    const category = await Category.create({ name, description });
+    const category = await saveWithSlug(
+      new Category({ name, slug, description, translations, seo })
+    );
     res.status(201).json({
       meta: { message: "Category created successfully" },
       data: { category },
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        meta: {
+          message: "A category with this name or slug already exists",
+          errors: true,
+        },
+      });
+    }
     console.error("Error creating category:", error);
     res.status(500).json({
       meta: {
@@ -42,16 +56,22 @@ export const create = async (req, res) => {
 };
 
 /**
- * @desc Get all categories
- * @route GET /api/categories
+ * @desc Get all categories, named in the requested locale
+ * @route GET /api/categories?locale=
  * @access public
  */
 export const list = async (req, res) => {
+  const locale = requestedLocale(req) || DEFAULT_LOCALE;
+
   try {
     const categories = await Category.find();
+    res.set({ "Content-Language": locale, Vary: "Accept-Language" });
     res.status(200).json({
       meta: { message: "Categories retrieved successfully" },
-      data: { categories },
+      data: {
+        locale,
+        categories: categories.map((category) => category.localize(locale)),
+      },
     });
   } catch (error) {
     console.error("Error fetching categories:", error);
@@ -65,12 +85,14 @@ export const list = async (req, res) => {
 };
 
 /**
- * @desc Get a single category by ID
- * @route GET /api/categories/:id
+ * @desc Get a single category by ID or slug, named in the requested locale,
+ * with the metadata of its page
+ * @route GET /api/categories/:identifier?locale=
  * @access public
  */
 export const show = async (req, res) => {
   const { identifier } = req.params;
+  const locale = requestedLocale(req) || DEFAULT_LOCALE;
 
   try {
     let category;
@@ -84,14 +106,32 @@ export const show = async (req, res) => {
     }
 
     if (!category) {
+      // An old slug points to the category's current one
+      const moved = await Category.findOne({ previousSlugs: identifier });
+      if (moved) {
+        return res
+          .status(301)
+          .location(`/api/categories/${moved.slug}`)
+          .json({
+            meta: { message: "Category has moved to a new slug" },
+            data: {
+              slug: moved.slug,
+              canonical: `/api/categories/${moved.slug}`,
+            },
+          });
+      }
+
       return res
         .status(404)
         .json({ meta: { message: "Category not found", errors: true } });
     }
 
+    // Metadata for the category page, with its defaults filled in
+    const localized = category.localize(locale);
+    res.set({ "Content-Language": locale, Vary: "Accept-Language" });
     res.status(200).json({
       meta: { message: "Category retrieved successfully" },
-      data: { category },
+      data: { category: localized, seo: categorySeo(localized) },
     });
   } catch (error) {
     console.error("Error fetching category by identifier:", error);
@@ -111,10 +151,16 @@ export const show = async (req, res) => {
  */
 export const update = async (req, res) => {
   const { id } = req.params;
-  const { name, description } = req.body;
+  const { name, slug, description, translations, seo } = req.body;
 
   try {
-    const { error } = categoryValidationSchema.validate({ name, description });
+    const { error } = categoryValidationSchema.validate({
+      name,
+      slug,
+      description,
+      translations,
+      seo,
+    });
     if (error) {
       return res.status(400).json({
         meta: {
@@ -124,19 +170,27 @@ export const update = async (req, res) => {
       });
     }
 
-    // Update the category
-    const category = await Category.findByIdAndUpdate(
-      id,
-      { name, description },
-      { new: true }
-    );
-
+    const category = await Category.findById(id);
     if (!category) {
       return res.status(404).json({
         meta: { message: "Category not found", errors: true },
       });
     }
 
+    // Update the category; saving re-slugs it and keeps the old slug
+    category.name = name;
+    category.description = description;
+    if (translations) {
+      category.translations = translations;
+    }
+    if (slug) {
+      category.slug = slug;
+    }
+    if (seo) {
+      category.seo = seo;
+    }
+    await saveWithSlug(category);
+
     // Update related products
     await Post.updateMany(
       { category: id },
@@ -148,6 +202,14 @@ export const update = async (req, res) => {
       data: { category },
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        meta: {
+          message: "A category with this name or slug already exists",
+          errors: true,
+        },
+      });
+    }
     console.error("Error updating category:", error);
     res.status(500).json({
       meta: {
@@ -159,29 +221,60 @@ export const update = async (req, res) => {
 };
 
 /**
- * @desc Delete a category and remove the category reference from related products
+ * @desc Delete a category. It goes to the trash, and related products lose
+ * their reference to it once it is purged.
  * @route DELETE /api/categories/:id
  * @access private
  */
 export const remove = async (req, res) => {
   const { id } = req.params;
+  const { moveTo } = req.query;
 
   try {
-    // Delete the category
-    const category = await Category.findByIdAndDelete(id);
+    const category = await Category.findById(id);
     if (!category) {
       return res.status(404).json({
         meta: { message: "Category not found", errors: true },
       });
     }
 
-    // Remove the category reference from related products
-    await Post.updateMany({ category: id }, { $set: { category: null } });
+    // Posts need a category, so those of this one, trashed or not, are
+    // moved to another one before it goes to the trash
+    const count = await Post.countDocuments({
+      category: category._id,
+    }).setOptions({ withDeleted: true });
+    if (count > 0) {
+      if (!moveTo) {
+        return res.status(409).json({
+          meta: {
+            message: `Category still has ${count} post(s), choose a category to move them to (moveTo)`,
+            errors: true,
+          },
+        });
+      }
+      const target =
+        mongoose.isValidObjectId(moveTo) &&
+        !category._id.equals(moveTo) &&
+        (await Category.exists({ _id: moveTo }));
+      if (!target) {
+        return res.status(404).json({
+          meta: {
+            message: "Category to move posts to not found",
+            errors: true,
+          },
+        });
+      }
+      // updateMany reaches trashed posts too
+      await Post.updateMany(
+        { category: category._id },
+        { $set: { category: target._id } }
+      );
+    }
+
+    await moveToTrash("categories", category, req.user.id);
 
     res.status(200).json({
-      meta: {
-        message: "Category deleted and related products updated successfully",
-      },
+      meta: { message: "Category moved to trash successfully" },
       data: { category: null },
     });
   } catch (error) {
@@ -1,6 +1,8 @@
 import Comment from "../models/comment.model.js";
 import Post from "../models/post.model.js";
 import { commentValidationSchema } from "../schemas/comment.js";
+import { encodeCursor, decodeCursor, cursorFilter } from "../utils/cursor.js";
+import { moveToTrash } from "../utils/trash.js";
 
 /**
  * @desc Create a new comment
@@ -59,11 +61,11 @@ export const create = async (req, res) => {
 
 /**
  * @desc Get all comments for a post (with replies)
- * @route GET /api/comments?post=&page=&limit=
+ * @route GET /api/comments?post=&page=&cursor=&limit=
  * @access Public
  */
 export const list = async (req, res) => {
-  const { post, page = 1, limit = 5 } = req.query;
+  const { post, page = 1, cursor, limit = 5 } = req.query;
 
   try {
     if (!post) {
@@ -72,16 +74,41 @@ export const list = async (req, res) => {
       });
     }
 
-    const skip = (page - 1) * limit;
+    // Comments of a trashed post are hidden along with it
+    if (!(await Post.exists({ _id: post }))) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Post not found", errors: true } });
+    }
+
+    // Cursor mode is enabled by sending a cursor, empty for the first page
+    const useCursor = cursor !== undefined;
+    const query = { post, parentComment: null };
+
+    if (useCursor && cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        return res
+          .status(400)
+          .json({ meta: { message: "Invalid cursor", errors: true } });
+      }
+      Object.assign(query, cursorFilter("createdAt", -1, position));
+    }
 
-    // Fetch parent comments (top-level comments)
-    const comments = await Comment.find({ post, parentComment: null })
+    const skip = useCursor ? 0 : (page - 1) * limit;
+
+    // Fetch parent comments (top-level comments).
+    // Cursor mode fetches one extra comment to know whether more remain.
+    let comments = await Comment.find(query)
       .populate("user", "fullName avatar")
-      .sort({ createdAt: -1 }) // Sort by newest first
+      .sort({ createdAt: -1, _id: -1 }) // Sort by newest first
       .skip(skip)
-      .limit(Number(limit))
+      .limit(Number(limit) + (useCursor ? 1 : 0))
       .select("-__v"); // Exclude __v field
 
+    const hasMore = useCursor && comments.length > Number(limit);
+    comments = comments.slice(0, Number(limit));
+
     // Extract comment IDs for fetching replies
     const commentIds = comments.map((c) => c._id);
 
@@ -119,12 +146,21 @@ export const list = async (req, res) => {
       },
       data: {
         comments: commentWithReplies,
-        pagination: {
-          currentPage: Number(page),
-          totalPages: Math.ceil(total / limit),
-          totalItems: total,
-          perPage: Number(limit),
-        },
+        pagination: useCursor
+          ? {
+              nextCursor: hasMore
+                ? encodeCursor(comments[comments.length - 1], "createdAt")
+                : null,
+              hasMore,
+              totalItems: total,
+              perPage: Number(limit),
+            }
+          : {
+              currentPage: Number(page),
+              totalPages: Math.ceil(total / limit),
+              totalItems: total,
+              perPage: Number(limit),
+            },
       },
     });
   } catch (error) {
@@ -163,8 +199,10 @@ export const remove = async (req, res) => {
         .json({ meta: { message: "Unauthorized", errors: true } });
     }
 
-    await comment.deleteOne();
-    res.status(200).json({ meta: { message: "Comment deleted successfully" } });
+    await moveToTrash("comments", comment, user);
+    res.status(200).json({
+      meta: { message: "Comment moved to trash successfully" },
+    });
   } catch (error) {
     console.error("Error deleting comment:", error);
     res.status(500).json({
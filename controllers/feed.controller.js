@@ -0,0 +1,221 @@
+import Post from "../models/post.model.js";
+import Category from "../models/category.model.js";
+import Tag from "../models/tag.model.js";
+import { FEED_FORMATS } from "../utils/feed.js";
+import { sendConditional } from "../utils/conditional.js";
+import { requestedLocale, DEFAULT_LOCALE } from "../utils/locale.js";
+import {
+  siteName,
+  siteUrl,
+  apiUrl,
+  postUrl,
+  categoryUrl,
+  tagUrl,
+} from "../utils/links.js";
+
+// Number of latest posts in a feed
+const FEED_SIZE = 20;
+// Feed readers may reuse a feed this long before asking again
+const FEED_MAX_AGE_SECONDS = 300;
+
+/**
+ * @desc Answer 404 for unknown feed formats
+ * @returns {Object|null} The format, or null when a response was sent
+ */
+const feedFormat = (req, res) => {
+  const format = FEED_FORMATS[req.params.format];
+  if (!format) {
+    res.status(404).json({
+      meta: {
+        message: `Unknown feed format, expected one of ${Object.keys(
+          FEED_FORMATS
+        ).join(", ")}`,
+        errors: true,
+      },
+    });
+    return null;
+  }
+  return format;
+};
+
+/**
+ * @desc Render the latest published posts matching a filter as a feed.
+ * The ETag and Last-Modified headers let readers poll with conditional
+ * requests, answered 304 when nothing changed.
+ */
+const sendFeed = async (req, res, format, { filter, updated, ...feed }) => {
+  const locale = requestedLocale(req) || DEFAULT_LOCALE;
+  const posts = await Post.findInLocale(
+    locale,
+    { $and: [Post.publishedFilter(), filter] },
+    { sort: { publishAt: -1, createdAt: -1 }, limit: FEED_SIZE }
+  );
+  await Post.populate(posts, [
+    { path: "category", select: "name slug translations" },
+    { path: "author", select: "fullName" },
+  ]);
+
+  const items = posts.map((post) => {
+    const category = post.category?.localize(locale);
+    return {
+      url: postUrl(post.slug),
+      title: post.title,
+      summary: post.description,
+      image: post.thumbnail,
+      published: post.publishAt || post.createdAt,
+      updated: post.updatedAt,
+      author: post.author?.fullName,
+      category: category && {
+        name: category.name,
+        slug: category.slug,
+        url: categoryUrl(category.slug),
+      },
+      tags: post.tags,
+    };
+  });
+
+  const lastModified = new Date(
+    Math.max(updated || 0, ...items.map((item) => item.updated))
+  );
+  const body = format.render({
+    ...feed,
+    locale,
+    selfUrl: apiUrl(req.originalUrl),
+    updated: lastModified,
+    items,
+  });
+
+  res.set({
+    "Content-Type": `${format.contentType}; charset=utf-8`,
+    "Content-Language": locale,
+    Vary: "Accept-Language",
+    "Cache-Control": `public, max-age=${FEED_MAX_AGE_SECONDS}`,
+  });
+  sendConditional(req, res, body, lastModified);
+};
+
+/**
+ * @desc Feed of the latest posts of the whole site
+ * @route GET /api/feed/:format?locale=
+ * @access Public
+ */
+export const siteFeed = async (req, res) => {
+  const format = feedFormat(req, res);
+  if (!format) return;
+
+  try {
+    await sendFeed(req, res, format, {
+      title: siteName(),
+      description: `Latest posts from ${siteName()}`,
+      link: siteUrl("/"),
+      filter: {},
+    });
+  } catch (error) {
+    console.error("Error building feed:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error building feed",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Feed of the latest posts of a category
+ * @route GET /api/categories/:slug/feed/:format?locale=
+ * @access Public
+ */
+export const categoryFeed = async (req, res) => {
+  const { slug } = req.params;
+  const format = feedFormat(req, res);
+  if (!format) return;
+
+  try {
+    const category = await Category.findOne({ slug });
+    if (!category) {
+      // An old slug points to the feed of the category's current one
+      const moved = await Category.findOne({ previousSlugs: slug });
+      if (moved) {
+        return res
+          .status(301)
+          .location(`/api/categories/${moved.slug}/feed/${req.params.format}`)
+          .json({
+            meta: { message: "Category has moved to a new slug" },
+            data: { slug: moved.slug },
+          });
+      }
+
+      return res
+        .status(404)
+        .json({ meta: { message: "Category not found", errors: true } });
+    }
+
+    const { name, description } = category.localize(
+      requestedLocale(req) || DEFAULT_LOCALE
+    );
+    await sendFeed(req, res, format, {
+      title: `${name} - ${siteName()}`,
+      description,
+      link: categoryUrl(category.slug),
+      filter: { category: category._id },
+      updated: category.updatedAt,
+    });
+  } catch (error) {
+    console.error("Error building category feed:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error building feed",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Feed of the latest posts with a tag
+ * @route GET /api/tags/:slug/feed/:format?locale=
+ * @access Public
+ */
+export const tagFeed = async (req, res) => {
+  const { slug } = req.params;
+  const format = feedFormat(req, res);
+  if (!format) return;
+
+  try {
+    const tag = await Tag.findOne({ slug });
+    if (!tag) {
+      // Former names and merged tags point to the feed of the tag they became
+      const moved = await Tag.findOne({ aliases: slug });
+      if (moved) {
+        return res
+          .status(301)
+          .location(`/api/tags/${moved.slug}/feed/${req.params.format}`)
+          .json({
+            meta: { message: "Tag has moved to a new slug" },
+            data: { slug: moved.slug },
+          });
+      }
+
+      return res
+        .status(404)
+        .json({ meta: { message: "Tag not found", errors: true } });
+    }
+
+    await sendFeed(req, res, format, {
+      title: `${tag.name} - ${siteName()}`,
+      description: tag.description || `Latest posts tagged ${tag.name}`,
+      link: tagUrl(tag.slug),
+      filter: { tags: tag.name },
+      updated: tag.updatedAt,
+    });
+  } catch (error) {
+    console.error("Error building tag feed:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error building feed",
+        errors: error.message || error,
+      },
+    });
+  }
+};
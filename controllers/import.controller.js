@@ -0,0 +1,175 @@
+import Post from "../models/post.model.js";
+import Category from "../models/category.model.js";
+import Revision from "../models/revision.model.js";
+import { parseImport } from "../utils/importer.js";
+import { toSlug, saveWithSlug } from "../utils/slug.js";
+import { settleReview, recordReview } from "../utils/review.js";
+
+const DEFAULT_CATEGORY = "Uncategorized";
+
+/**
+ * @desc Find the category an imported post belongs to by slug or name,
+ * creating it when missing. Found and created categories are kept in the
+ * cache so each is looked up once per import.
+ * @returns {Promise<Document>} The category
+ */
+const importCategory = async ({ name, slug }, cache, report) => {
+  const key = toSlug(slug || name);
+  if (cache.has(key)) return cache.get(key);
+
+  let category = await Category.findOne({
+    $or: [{ slug: key }, { previousSlugs: key }, { name }],
+  }).setOptions({ withDeleted: true });
+
+  if (category?.deletedAt) {
+    throw new Error(`Category "${category.name}" is in the trash`);
+  }
+  if (!category) {
+    category = await Category.create({
+      name,
+      slug: key || undefined,
+      description: `Posts imported into ${name}`,
+    });
+    report.categoriesCreated.push(category.name);
+  }
+
+  cache.set(key, category);
+  return category;
+};
+
+/**
+ * @desc Import posts from a WordPress export (.xml) or a zip archive of
+ * Markdown files with YAML front matter. Posts keep their original dates,
+ * missing categories are created and the importing admin becomes the
+ * author. Each post remembers where it came from, so running the same
+ * import again only adds what is new.
+ * @route POST /api/posts/import
+ * @access Private (Admin only)
+ */
+export const importPosts = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      meta: { message: "No file uploaded", errors: true },
+    });
+  }
+
+  let parsed;
+  try {
+    parsed = parseImport(req.file);
+  } catch (error) {
+    return res.status(400).json({
+      meta: { message: "Unreadable import file", errors: error.message },
+    });
+  }
+
+  try {
+    const { format, entries } = parsed;
+    const report = { format, categoriesCreated: [], results: [] };
+    const categories = new Map();
+
+    const imported = await Post.find({
+      importKey: { $in: entries.map((entry) => entry.key) },
+    })
+      .setOptions({ withDeleted: true })
+      .select("importKey slug deletedAt");
+    const existing = new Map(imported.map((post) => [post.importKey, post]));
+
+    for (const { key, source, fields, error } of entries) {
+      const item = { source, title: fields?.title || null };
+      report.results.push(item);
+
+      if (error) {
+        Object.assign(item, { result: "failed", error });
+        continue;
+      }
+
+      const previous = existing.get(key);
+      if (previous) {
+        Object.assign(item, {
+          result: "skipped",
+          id: previous.id,
+          slug: previous.slug,
+          reason: previous.deletedAt
+            ? "Already imported, now in the trash"
+            : "Already imported",
+        });
+        continue;
+      }
+
+      // One unusable post does not stop the import
+      try {
+        const category = await importCategory(
+          fields.category?.name ? fields.category : { name: DEFAULT_CATEGORY },
+          categories,
+          report
+        );
+
+        const date = fields.date || new Date();
+        const status =
+          fields.status === "scheduled" && !fields.date
+            ? "draft"
+            : fields.status;
+
+        const post = new Post({
+          title: fields.title,
+          slug: fields.slug,
+          description: fields.description,
+          content: fields.content,
+          contentFormat: fields.contentFormat,
+          category: category._id,
+          tags: fields.tags,
+          thumbnail: fields.thumbnail,
+          author: req.user.id,
+          status,
+          publishAt: status === "draft" ? null : date,
+          locale: fields.locale,
+          importKey: key,
+          createdAt: date,
+          updatedAt: fields.modified || date,
+        });
+        const reviewActions = settleReview(post, null);
+        await saveWithSlug(post, { timestamps: false });
+        await Revision.record(post, req.user.id);
+        await recordReview(post, reviewActions, req.user.id, null);
+        existing.set(key, post);
+
+        Object.assign(item, {
+          result: "created",
+          id: post.id,
+          slug: post.slug,
+        });
+      } catch (error) {
+        Object.assign(item, {
+          result: "failed",
+          error:
+            error.name === "ValidationError"
+              ? Object.values(error.errors).map((err) => err.message)
+              : error.message,
+        });
+      }
+    }
+
+    const summary = report.results.reduce(
+      (counts, { result }) => ({ ...counts, [result]: counts[result] + 1 }),
+      { created: 0, skipped: 0, failed: 0 }
+    );
+
+    res.status(200).json({
+      meta: {
+        message:
+          summary.failed > 0
+            ? "Import completed with failures"
+            : "Import completed successfully",
+      },
+      data: { ...report, summary },
+    });
+  } catch (error) {
+    console.error("Error importing posts:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error importing posts",
+        errors: error.message || error,
+      },
+    });
+  }
+};
@@ -0,0 +1,124 @@
+import { countJobs, failedJobs, retryJob, discardJob } from "../utils/queue.js";
+
+/**
+ * @desc Get the number of waiting, delayed, running and failed jobs
+ * @route GET /api/jobs/stats
+ * @access Private (Admin only)
+ */
+export const stats = async (req, res) => {
+  try {
+    const counts = await countJobs();
+    res.status(200).json({
+      meta: { message: "Job stats retrieved successfully" },
+      data: { counts },
+    });
+  } catch (error) {
+    console.error("Error fetching job stats:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving job stats",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get the jobs that used up their attempts, most recent first
+ * @route GET /api/jobs/failed?page=&limit=
+ * @access Private (Admin only)
+ */
+export const listFailed = async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  try {
+    const [jobs, counts] = await Promise.all([
+      failedJobs((page - 1) * limit, limit),
+      countJobs(),
+    ]);
+
+    res.status(200).json({
+      meta: { message: "Failed jobs retrieved successfully" },
+      data: {
+        jobs,
+        pagination: {
+          itemsPerPage: limit,
+          currentPage: page,
+          totalPages: Math.ceil(counts.failed / limit),
+          totalItems: counts.failed,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching failed jobs:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving failed jobs",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Run a failed job again with a fresh set of attempts
+ * @route POST /api/jobs/:id/retry
+ * @access Private (Admin only)
+ */
+export const retry = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const retried = await retryJob(id);
+    if (!retried) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Failed job not found", errors: true } });
+    }
+
+    res.status(200).json({
+      meta: { message: "Job queued for retry" },
+      data: { id },
+    });
+  } catch (error) {
+    console.error("Error retrying job:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrying job",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Delete a failed job without running it again
+ * @route DELETE /api/jobs/:id
+ * @access Private (Admin only)
+ */
+export const discard = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const discarded = await discardJob(id);
+    if (!discarded) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Failed job not found", errors: true } });
+    }
+
+    res.status(200).json({
+      meta: { message: "Job discarded successfully" },
+      data: { id: null },
+    });
+  } catch (error) {
+    console.error("Error discarding job:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error discarding job",
+        errors: error.message || error,
+      },
+    });
+  }
+};
@@ -1,20 +1,134 @@
 import Post from "../models/post.model.js";
 import Category from "../models/category.model.js";
-import { postValidationSchema } from "../schemas/post.js";
+import Revision from "../models/revision.model.js";
+import PostDraft from "../models/post-draft.model.js";
+import Reaction from "../models/reaction.model.js";
+import Bookmark from "../models/bookmark.model.js";
+import Series from "../models/series.model.js";
+import PostView, { startOfDay } from "../models/post-view.model.js";
+import Tag from "../models/tag.model.js";
+import {
+  postValidationSchema,
+  curationValidationSchema,
+  bulkValidationSchema,
+  BULK_LIMIT,
+} from "../schemas/post.js";
+import { searchTerms, highlight } from "../utils/search.js";
+import { encodeCursor, decodeCursor, cursorFilter } from "../utils/cursor.js";
+import { findRelatedPosts } from "../utils/related.js";
+import { visitorKey, isBot } from "../utils/visitor.js";
+import { enqueue } from "../utils/queue.js";
+import { moveToTrash } from "../utils/trash.js";
+import { createCache } from "../utils/cache.js";
+import { saveWithSlug } from "../utils/slug.js";
+import {
+  canPublish,
+  bypassesReview,
+  settleReview,
+  recordReview,
+} from "../utils/review.js";
+import { requestedLocale, DEFAULT_LOCALE } from "../utils/locale.js";
+import {
+  postSeo,
+  postHeadTags,
+  blogPosting,
+  renderHead,
+} from "../utils/seo.js";
+
+// Related posts change slowly, so they are cached for a few minutes
+const RELATED_CACHE_SECONDS = 600;
+const relatedCache = createCache(RELATED_CACHE_SECONDS * 1000);
+
+// Answer to authors trying to publish or schedule a post themselves
+const REVIEW_REQUIRED = {
+  meta: {
+    message:
+      "Only admins can publish or schedule posts, submit the post for review instead",
+    errors: true,
+  },
+};
+
+// Duplicate keys come from a taken slug, or from a second version of an
+// article in the same locale
+const conflictMessage = (error) =>
+  error.keyPattern?.translationGroup
+    ? "This article already has a version in this locale"
+    : "This slug is already in use";
+
+/**
+ * @desc Build the query matching the filters of the post list
+ * @param {Object} filters - search, category, tags (comma-separated) and status
+ * @param {Document|null} user - The current user, if any
+ * @returns {Promise<{query: Object, terms: string[]}>} The query, and the search terms
+ */
+const listFilter = async ({ search = "", category, tags, status }, user) => {
+  // Only admins, and authors for their own posts, can see unpublished posts
+  const query = { ...Post.visibleTo(user) };
+  if (status && ["admin", "author"].includes(user?.role)) {
+    query.status = status;
+  }
+
+  // Full-text search over title, tags, description and content,
+  // ignoring case and diacritics
+  const terms = searchTerms(search);
+  if (terms.length > 0) {
+    query.$text = { $search: terms.join(" ") };
+  }
+
+  // Filter by category
+  if (category) {
+    query.category = category;
+  }
+
+  // Filter by tags, matching any spelling or alias of a tag
+  if (tags) {
+    const tagArray = await Tag.resolve(tags.split(","), false);
+    query.tags = { $in: tagArray };
+  }
+
+  return { query, terms };
+};
 
 /**
  * @desc Create a new post
  * @route POST /api/posts
- * @access Private
+ * @access Private (Authors and admins)
  */
 export const create = async (req, res) => {
-  const { title, description, content, category, tags, thumbnail, author } =
-    req.body;
+  const {
+    title,
+    slug,
+    description,
+    content,
+    contentFormat,
+    category,
+    tags,
+    thumbnail,
+    status,
+    publishAt,
+    locale,
+    translationOf,
+    seo,
+  } = req.body;
 
   try {
     // Validate request data
-    const { error } = postValidationSchema.validate(
-      { title, description, content, category, tags, thumbnail, author },
+    const { error, value } = postValidationSchema.validate(
+      {
+        title,
+        slug,
+        description,
+        content,
+        contentFormat,
+        category,
+        tags,
+        thumbnail,
+        status,
+        publishAt,
+        locale,
+        translationOf,
+        seo,
+      },
       { abortEarly: false }
     );
     if (error) {
@@ -26,22 +140,62 @@ export const create = async (req, res) => {
       });
     }
 
+    if (bypassesReview(req.user, status, value.publishAt)) {
+      return res.status(403).json(REVIEW_REQUIRED);
+    }
+
+    // A translation joins the group of the post it translates
+    let translationGroup;
+    if (translationOf) {
+      const original = await Post.findOne({
+        _id: translationOf,
+        ...Post.visibleTo(req.user),
+      }).select("translationGroup");
+      if (!original) {
+        return res.status(404).json({
+          meta: { message: "Post to translate not found", errors: true },
+        });
+      }
+      translationGroup = original.translationGroup;
+    }
+
     // Create new post
-    const post = await Post.create({
+    const post = new Post({
       title,
+      slug,
       description,
       content,
+      contentFormat,
       category,
       tags: tags || [],
       thumbnail: thumbnail || "",
-      author,
+      // The author is always the user creating the post
+      author: req.user.id,
+      // Posts of authors start as drafts, to be submitted for review
+      status: status || (canPublish(req.user) ? "published" : "draft"),
+      publishAt: value.publishAt || null,
+      locale,
+      translationGroup,
+      seo,
     });
+    const reviewActions = settleReview(post, null);
+    await saveWithSlug(post);
+
+    // First revision of the post, and its first status
+    await Revision.record(post, req.user.id);
+    await recordReview(post, reviewActions, req.user.id, null);
 
     res.status(201).json({
       meta: { message: "Post created successfully" },
       data: { post },
     });
   } catch (error) {
+    // Another post took the same slug or locale at the same moment
+    if (error.code === 11000) {
+      return res.status(409).json({
+        meta: { message: conflictMessage(error), errors: true },
+      });
+    }
     console.error("Error creating post:", error);
     res.status(500).json({
       meta: {
@@ -53,9 +207,9 @@ export const create = async (req, res) => {
 };
 
 /**
- * @desc Get all posts (with pagination, category filter, search, sort)
- * @route GET /api/posts?page=&limit=&search=&sort=&category=
- * @access Public
+ * @desc Get all posts (with page or cursor pagination, category filter, search, sort)
+ * @route GET /api/posts?page=&cursor=&limit=&search=&sort=&category=&status=
+ * @access Public (admins also see drafts and scheduled posts, authors their own)
  */
 export const list = async (req, res) => {
   const {
@@ -65,26 +219,16 @@ export const list = async (req, res) => {
     sort = "",
     category,
     tags,
+    status,
+    cursor,
   } = req.query;
+  const locale = requestedLocale(req) || DEFAULT_LOCALE;
 
   try {
-    // Create a query object for filters
-    let query = {};
-
-    // Search by post title
-    if (search) {
-      query.title = { $regex: search, $options: "i" };
-    }
-
-    // Filter by category
-    if (category) {
-      query.category = category;
-    }
-
-    if (tags) {
-      const tagArray = tags.split(",").map((tag) => tag.trim());
-      query.tags = { $in: tagArray };
-    }
+    const { query, terms } = await listFilter(
+      { search, category, tags, status },
+      req.user
+    );
 
     // Sorting options
     let sortOptions = {};
@@ -102,28 +246,153 @@ export const list = async (req, res) => {
       sortOptions.views = 1; // Sort by least views first
     }
 
-    // Fetch posts with filters, pagination, and sorting
-    const posts = await Post.find(query)
-      .sort(sortOptions)
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .populate("category", "name slug")
-      .populate("author", "fullName");
+    // Count total posts based on the query, one version of each article
+    const totalPosts = await Post.countInLocale(query);
 
-    // Count total posts based on the query
-    const totalPosts = await Post.countDocuments(query);
+    // Cursor mode is enabled by sending a cursor, empty for the first page
+    const useCursor = cursor !== undefined;
+    let sortField = null;
+    let pinnedPosts = [];
+    // Filter of the versions picked, as opposed to the query choosing
+    // among every version
+    let after = {};
+
+    if (useCursor) {
+      if (terms.length > 0 && Object.keys(sortOptions).length === 0) {
+        return res.status(400).json({
+          meta: {
+            message:
+              "Cursor pagination cannot be combined with relevance ranking, please choose a sort",
+            errors: true,
+          },
+        });
+      }
+
+      // Break ties by id so every item has a stable position
+      if (Object.keys(sortOptions).length === 0) {
+        sortOptions.createdAt = -1;
+      }
+      const [field, direction] = Object.entries(sortOptions)[0];
+      sortField = field;
+      sortOptions._id = direction;
+
+      // Posts pinned to the category lead the first page and are left out
+      // of the pages that follow
+      if (category) {
+        if (!cursor) {
+          pinnedPosts = await Post.findInLocale(locale, query, {
+            sort: sortOptions,
+            after: { pinned: true },
+          });
+        }
+        after.pinned = { $ne: true };
+      }
+
+      if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position) {
+          return res
+            .status(400)
+            .json({ meta: { message: "Invalid cursor", errors: true } });
+        }
+        after = { ...after, ...cursorFilter(field, direction, position) };
+      }
+    }
+
+    // Rank search results by relevance unless another order is requested
+    if (terms.length > 0) {
+      if (Object.keys(sortOptions).length === 0) {
+        sortOptions.score = { $meta: "textScore" };
+      }
+    }
+
+    // Posts pinned to the category come first
+    if (category && !useCursor) {
+      sortOptions = { pinned: -1, ...sortOptions };
+    }
+
+    // Fetch one version of each article, in the requested locale when
+    // translated, with filters, pagination, and sorting.
+    // Cursor mode fetches one extra post to know whether more remain.
+    let posts = await Post.findInLocale(locale, query, {
+      sort: sortOptions,
+      after,
+      skip: useCursor ? 0 : (page - 1) * limit,
+      limit: parseInt(limit) + (useCursor ? 1 : 0),
+      score: terms.length > 0,
+    });
+
+    let pagination;
+    if (useCursor) {
+      const hasMore = posts.length > parseInt(limit);
+      posts = posts.slice(0, parseInt(limit));
+      pagination = {
+        itemsPerPage: parseInt(limit),
+        nextCursor: hasMore
+          ? encodeCursor(posts[posts.length - 1], sortField)
+          : null,
+        hasMore,
+        totalItems: totalPosts,
+      };
+      posts = [...pinnedPosts, ...posts];
+    } else {
+      pagination = {
+        itemsPerPage: parseInt(limit),
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalPosts / limit),
+        totalItems: totalPosts,
+      };
+    }
+
+    await Post.populate(posts, [
+      { path: "category", select: "name slug translations" },
+      { path: "author", select: "fullName" },
+    ]);
+
+    // Category names in the requested locale, and the other versions of
+    // each post
+    const translations = await Post.translationsOf(posts, req.user);
+    let results = posts.map((post) => ({
+      ...post.toJSON(),
+      category: post.category && post.category.localize(locale),
+      translations: translations.get(post.id) || [],
+    }));
+
+    // Highlighted snippets showing where each search result matched
+    if (terms.length > 0) {
+      results = results.map((post) => ({
+        ...post,
+        highlights: {
+          title: highlight(post.title, terms),
+          tags: highlight(post.tags.join(", "), terms),
+          description: highlight(post.description, terms),
+          content: highlight(post.content, terms),
+        },
+      }));
+    }
+
+    // Reactions and bookmarks of the calling user on these posts
+    if (req.user) {
+      const postIds = posts.map((post) => post._id);
+      const [mine, bookmarked] = await Promise.all([
+        Reaction.forUser(postIds, req.user.id),
+        Bookmark.bookmarkedBy(postIds, req.user.id),
+      ]);
+      results = results.map((post) => ({
+        ...post,
+        myReactions: mine.get(post.id.toString()) || [],
+        bookmarked: bookmarked.has(post.id.toString()),
+      }));
+    }
 
     // Response
+    res.set({ "Content-Language": locale, Vary: "Accept-Language" });
     res.status(200).json({
       meta: { message: "Post list retrieved successfully" },
       data: {
-        posts,
-        pagination: {
-          itemsPerPage: parseInt(limit),
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(totalPosts / limit),
-          totalItems: totalPosts,
-        },
+        locale,
+        posts: results,
+        pagination,
       },
     });
   } catch (error) {
@@ -137,32 +406,144 @@ export const list = async (req, res) => {
   }
 };
 
+/**
+ * @desc Get the featured posts for the homepage, in their manual order
+ * @route GET /api/posts/featured?limit=&locale=
+ * @access Public
+ */
+export const featured = async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+  const locale = requestedLocale(req) || DEFAULT_LOCALE;
+
+  try {
+    // Featured versions of each article, in the requested locale when
+    // that version is featured too
+    const posts = await Post.findInLocale(
+      locale,
+      { $and: [Post.publishedFilter(), Post.featuredFilter()] },
+      { sort: { featuredOrder: 1, publishAt: -1, _id: -1 }, limit }
+    );
+    await Post.populate(posts, [
+      { path: "category", select: "name slug translations" },
+      { path: "author", select: "fullName" },
+    ]);
+
+    const translations = await Post.translationsOf(posts, null);
+
+    res.set({ "Content-Language": locale, Vary: "Accept-Language" });
+    res.status(200).json({
+      meta: { message: "Featured posts retrieved successfully" },
+      data: {
+        locale,
+        posts: posts.map((post) => ({
+          ...post.toJSON(),
+          category: post.category && post.category.localize(locale),
+          translations: translations.get(post.id) || [],
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching featured posts:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving featured posts",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
 /**
  * @desc Get post by slug
  * @route GET /api/posts/:slug
- * @access Public
+ * @access Public (unpublished posts are visible to admins and their author only)
  */
 export const show = async (req, res) => {
   const { slug } = req.params;
 
   try {
     // Find post by slug
-    const post = await Post.findOne({ slug })
-      .populate("category", "name slug")
+    let post = await Post.findOne({ slug })
+      .populate("category", "name slug translations")
       .populate("author", "fullName");
 
     if (!post) {
+      // An old slug points readers to the post's current one
+      const moved = await Post.findOne({ previousSlugs: slug });
+      if (moved && (moved.isPublished() || moved.canBeManagedBy(req.user))) {
+        return res
+          .status(301)
+          .location(`/api/posts/${moved.slug}`)
+          .json({
+            meta: { message: "Post has moved to a new slug" },
+            data: { slug: moved.slug, canonical: `/api/posts/${moved.slug}` },
+          });
+      }
+
       return res
         .status(404)
         .json({ meta: { message: "Post not found", errors: true } });
     }
 
-    // Increment views count
-    await post.incrementViews();
+    // Hide unpublished posts from the public
+    if (!post.isPublished() && !post.canBeManagedBy(req.user)) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Post not found", errors: true } });
+    }
+
+    // Serve the version in the reader's locale, else the one in the default
+    // locale, else the requested post itself
+    const locale = requestedLocale(req);
+    if (locale && locale !== post.locale) {
+      const versions = await Post.find({
+        ...Post.visibleTo(req.user),
+        translationGroup: post.translationGroup,
+        locale: { $in: [locale, DEFAULT_LOCALE] },
+      })
+        .populate("category", "name slug translations")
+        .populate("author", "fullName");
+      post =
+        versions.find((version) => version.locale === locale) ||
+        versions.find((version) => version.locale === DEFAULT_LOCALE) ||
+        post;
+    }
+    const published = post.isPublished();
+
+    // Count the view in the background, ignoring bots and admin previews
+    // of unpublished posts. A lost view never fails the page.
+    if (published && !isBot(req)) {
+      enqueue("post.view", {
+        visitor: visitorKey(req),
+        postId: post.id,
+        viewedAt: new Date(),
+      }).catch((error) => console.error("Error queuing post view:", error));
+    }
+
+    const translations = await Post.translationsOf([post], req.user);
+    const result = {
+      ...post.toJSON(),
+      category: post.category && post.category.localize(locale || post.locale),
+      translations: translations.get(post.id) || [],
+    };
 
+    // Position of the post in its series, with the previous and next parts
+    result.series = await Series.contextFor(post, !published);
+
+    // Reactions and bookmark of the calling user on this post
+    if (req.user) {
+      const [mine, bookmarked] = await Promise.all([
+        Reaction.forUser([post._id], req.user.id),
+        Bookmark.bookmarkedBy([post._id], req.user.id),
+      ]);
+      result.myReactions = mine.get(post.id) || [];
+      result.bookmarked = bookmarked.has(post.id);
+    }
+
+    res.set({ "Content-Language": post.locale, Vary: "Accept-Language" });
     res.status(200).json({
       meta: { message: "Post retrieved successfully" },
-      data: { post },
+      data: { post: result },
     });
   } catch (error) {
     console.error("Error fetching post by slug:", error);
@@ -175,20 +556,213 @@ export const show = async (req, res) => {
   }
 };
 
+/**
+ * @desc Get posts related to a post, scored by shared tags, category,
+ * recency and co-readership
+ * @route GET /api/posts/:slug/related?limit=
+ * @access Public
+ */
+export const related = async (req, res) => {
+  const { slug } = req.params;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+
+  try {
+    const cacheKey = `${slug}:${limit}`;
+    let posts = relatedCache.get(cacheKey);
+
+    if (!posts) {
+      const post = await Post.findOne({ slug, ...Post.publishedFilter() });
+      if (!post) {
+        return res
+          .status(404)
+          .json({ meta: { message: "Post not found", errors: true } });
+      }
+
+      posts = await findRelatedPosts(post, limit);
+      relatedCache.set(cacheKey, posts);
+    }
+
+    res.set("Cache-Control", `public, max-age=${RELATED_CACHE_SECONDS}`);
+    res.status(200).json({
+      meta: { message: "Related posts retrieved successfully" },
+      data: { posts },
+    });
+  } catch (error) {
+    console.error("Error fetching related posts:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving related posts",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get the head tags and JSON-LD BlogPosting structured data of a post
+ * page, from its SEO metadata with defaults derived from the post
+ * @route GET /api/posts/:slug/seo
+ * @access Public (admins and the author also get unpublished posts)
+ */
+export const head = async (req, res) => {
+  const { slug } = req.params;
+
+  try {
+    const post = await Post.findOne({ slug })
+      .populate("category", "name slug translations")
+      .populate("author", "fullName");
+    if (!post || (!post.isPublished() && !post.canBeManagedBy(req.user))) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Post not found", errors: true } });
+    }
+
+    const metadata = postSeo(post);
+    // Unpublished posts are only previewed, never indexed
+    if (!post.isPublished()) {
+      metadata.noindex = true;
+    }
+    if (post.category) {
+      post.category.name = post.category.localize(post.locale).name;
+    }
+
+    const translations = await Post.translationsOf([post], null);
+    const tags = postHeadTags(post, metadata, translations.get(post.id));
+    const jsonLd = blogPosting(post, metadata);
+
+    res.status(200).json({
+      meta: { message: "Post metadata retrieved successfully" },
+      data: {
+        seo: metadata,
+        tags,
+        jsonLd,
+        html: renderHead(tags, jsonLd),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching post metadata:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving post metadata",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get daily view counts of a post
+ * @route GET /api/posts/:id/stats?from=&to=
+ * @access Private (Admin only)
+ */
+export const stats = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // Defaults to the last 30 days, today included
+    const to = startOfDay(req.query.to ? new Date(req.query.to) : new Date());
+    const from = startOfDay(
+      req.query.from
+        ? new Date(req.query.from)
+        : to.getTime() - 29 * 24 * 60 * 60 * 1000
+    );
+
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({
+        meta: { message: "Invalid date range", errors: true },
+      });
+    }
+    if (to - from > 366 * 86400000) {
+      return res.status(400).json({
+        meta: { message: "Date range cannot exceed one year", errors: true },
+      });
+    }
+
+    const post = await Post.findById(id).select("title slug views");
+    if (!post) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Post not found", errors: true } });
+    }
+
+    const buckets = await PostView.find({
+      post: id,
+      day: { $gte: from, $lte: to },
+    }).lean();
+    const viewsByDay = new Map(
+      buckets.map(({ day, views }) => [day.getTime(), views])
+    );
+
+    // One point per day, including days without views
+    const series = [];
+    for (let day = from.getTime(); day <= to.getTime(); day += 86400000) {
+      series.push({
+        date: new Date(day).toISOString().slice(0, 10),
+        views: viewsByDay.get(day) || 0,
+      });
+    }
+
+    res.status(200).json({
+      meta: { message: "Post stats retrieved successfully" },
+      data: {
+        post: { id: post.id, title: post.title, slug: post.slug },
+        totalViews: post.views,
+        periodViews: series.reduce((sum, { views }) => sum + views, 0),
+        series,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching post stats:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving post stats",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
 /**
  * @desc Update post
  * @route PUT /api/posts/:id
- * @access Private
+ * @access Private (Admins, or the post's author)
  */
 export const update = async (req, res) => {
   const { id } = req.params;
-  const { title, description, content, category, tags, thumbnail, author } =
-    req.body;
+  const {
+    title,
+    slug,
+    description,
+    content,
+    contentFormat,
+    category,
+    tags,
+    thumbnail,
+    status,
+    publishAt,
+    locale,
+    translationOf,
+    seo,
+  } = req.body;
 
   try {
     // Validate request data
-    const { error } = postValidationSchema.validate(
-      { title, description, content, category, tags, thumbnail, author },
+    const { error, value } = postValidationSchema.validate(
+      {
+        title,
+        slug,
+        description,
+        content,
+        contentFormat,
+        category,
+        tags,
+        thumbnail,
+        status,
+        publishAt,
+        locale,
+        translationOf,
+        seo,
+      },
       { abortEarly: false }
     );
 
@@ -209,24 +783,80 @@ export const update = async (req, res) => {
         .json({ meta: { message: "Category does not exist", errors: true } });
     }
 
-    // Update post
-    const post = await Post.findByIdAndUpdate(
-      id,
-      { title, description, content, category, tags, thumbnail },
-      { new: true }
-    ).populate("category", "name").populate("author", "fullName");
+    // Loaded and access-checked by the canManagePost middleware
+    const { post } = req;
 
-    if (!post) {
-      return res
-        .status(404)
-        .json({ meta: { message: "Post not found", errors: true } });
+    if (bypassesReview(req.user, status, value.publishAt, post)) {
+      return res.status(403).json(REVIEW_REQUIRED);
+    }
+
+    // Posts created before revisions existed get their current state saved first
+    await Revision.ensureBaseline(post);
+
+    const changes = {
+      title,
+      slug,
+      description,
+      content,
+      contentFormat,
+      category,
+      tags,
+      thumbnail,
+      locale,
+      seo,
+    };
+
+    // Link the post to the translations of another one
+    if (translationOf) {
+      const original = await Post.findOne({
+        _id: translationOf,
+        ...Post.visibleTo(req.user),
+      }).select("translationGroup");
+      if (!original) {
+        return res.status(404).json({
+          meta: { message: "Post to translate not found", errors: true },
+        });
+      }
+      changes.translationGroup = original.translationGroup;
     }
 
+    // Only touch the publishing state when a status is sent, and keep the
+    // original publish date when re-saving a published post
+    if (status) {
+      changes.status = status;
+      changes.publishAt =
+        value.publishAt || (status === "published" ? post.publishAt : null);
+    }
+
+    // Update post; saving lets the model re-slug, re-render and re-index it
+    const from = post.status;
+    Object.entries(changes).forEach(([field, fieldValue]) => {
+      if (fieldValue !== undefined) post.set(field, fieldValue);
+    });
+    const reviewActions = settleReview(post, from);
+    await saveWithSlug(post);
+    await post.populate([
+      { path: "category", select: "name" },
+      { path: "author", select: "fullName" },
+    ]);
+
+    // Snapshot the new version
+    await Revision.record(post, req.user.id);
+    await recordReview(post, reviewActions, req.user.id, from);
+    // The autosaved changes were saved or are outdated
+    await PostDraft.deleteOne({ post: post._id });
+
     res.status(200).json({
       meta: { message: "Post updated successfully" },
       data: { post },
     });
   } catch (error) {
+    // Another post took the same slug or locale at the same moment
+    if (error.code === 11000) {
+      return res.status(409).json({
+        meta: { message: conflictMessage(error), errors: true },
+      });
+    }
     console.error("Error updating post:", error);
     res.status(500).json({
       meta: {
@@ -238,15 +868,36 @@ export const update = async (req, res) => {
 };
 
 /**
- * @desc Delete post
- * @route DELETE /api/posts/:id
- * @access Private
+ * @desc Feature a post on the homepage or pin it to its category
+ * @route PATCH /api/posts/:id/curation
+ * @access Private (Admin only)
  */
-export const remove = async (req, res) => {
+export const curate = async (req, res) => {
   const { id } = req.params;
+  const { featured, featuredOrder, featuredUntil, pinned } = req.body;
+
+  const { error, value } = curationValidationSchema.validate(
+    { featured, featuredOrder, featuredUntil, pinned },
+    { abortEarly: false }
+  );
+  if (error) {
+    return res.status(400).json({
+      meta: {
+        message: "Validation errors",
+        errors: error.details.map((err) => err.message),
+      },
+    });
+  }
 
   try {
-    const post = await Post.findByIdAndDelete(id);
+    const changes = Object.fromEntries(
+      Object.entries(value).filter(([, fieldValue]) => fieldValue !== undefined)
+    );
+    const post = await Post.findByIdAndUpdate(
+      id,
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
 
     if (!post) {
       return res
@@ -255,7 +906,200 @@ export const remove = async (req, res) => {
     }
 
     res.status(200).json({
-      meta: { message: "Post deleted successfully" },
+      meta: { message: "Post curation updated successfully" },
+      data: { post },
+    });
+  } catch (error) {
+    console.error("Error updating post curation:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error updating post curation",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc The fields a bulk action changes on a post
+ * @returns {Object|null} The new values, or null when the post is unchanged
+ */
+const bulkChanges = (post, { action, category, tags, status, publishAt }) => {
+  switch (action) {
+    case "move":
+      return String(post.category) === category ? null : { category };
+    case "addTags": {
+      const added = [...new Set([...post.tags, ...tags])];
+      return added.length === post.tags.length ? null : { tags: added };
+    }
+    case "removeTags": {
+      const kept = post.tags.filter((tag) => !tags.includes(tag));
+      return kept.length === post.tags.length ? null : { tags: kept };
+    }
+    case "setStatus": {
+      // Keep the original publish date when re-publishing a published post
+      const date =
+        publishAt || (status === "published" ? post.publishAt : null);
+      const sameDate = String(date) === String(post.publishAt);
+      return post.status === status && sameDate
+        ? null
+        : { status, publishAt: date };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * @desc Delete, move, tag or change the status of many posts at once,
+ * selected by ID or by the filters of the post list. Each post is handled
+ * on its own, so one failing post does not stop the others.
+ * @route POST /api/posts/bulk
+ * @access Private (Admin only)
+ */
+export const bulk = async (req, res) => {
+  const { error, value } = bulkValidationSchema.validate(req.body, {
+    abortEarly: false,
+  });
+  if (error) {
+    return res.status(400).json({
+      meta: {
+        message: "Validation errors",
+        errors: error.details.map((err) => err.message),
+      },
+    });
+  }
+
+  const { action, ids, filter, dryRun } = value;
+
+  if (
+    action === "setStatus" &&
+    bypassesReview(req.user, value.status, value.publishAt)
+  ) {
+    return res.status(403).json(REVIEW_REQUIRED);
+  }
+
+  try {
+    if (
+      action === "move" &&
+      !(await Category.exists({ _id: value.category }))
+    ) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Category does not exist", errors: true } });
+    }
+
+    // Tags are compared by their canonical names
+    const options = { ...value };
+    if (value.tags) {
+      options.tags = await Tag.resolve(
+        value.tags,
+        action === "addTags" && !dryRun
+      );
+    }
+
+    let posts;
+    let missing = [];
+    if (ids) {
+      posts = await Post.find({ _id: { $in: ids } });
+      const found = new Set(posts.map((post) => post.id));
+      missing = ids.filter((id) => !found.has(id));
+    } else {
+      const { query } = await listFilter(filter, req.user);
+      const total = await Post.countDocuments(query);
+      if (total > BULK_LIMIT) {
+        return res.status(400).json({
+          meta: {
+            message: `The filter selects ${total} posts, a bulk operation can select at most ${BULK_LIMIT}`,
+            errors: true,
+          },
+        });
+      }
+      posts = await Post.find(query);
+    }
+
+    const results = missing.map((id) => ({
+      id,
+      result: "failed",
+      error: "Post not found",
+    }));
+
+    for (const post of posts) {
+      const item = { id: post.id, slug: post.slug, title: post.title };
+
+      try {
+        if (action === "delete") {
+          if (!dryRun) await moveToTrash("posts", post, req.user.id);
+          results.push({ ...item, result: "deleted" });
+          continue;
+        }
+
+        const changes = bulkChanges(post, options);
+        if (!changes) {
+          results.push({ ...item, result: "unchanged" });
+          continue;
+        }
+
+        if (!dryRun) {
+          // Saving lets the model re-index the post, as a regular update does
+          await Revision.ensureBaseline(post);
+          const from = post.status;
+          post.set(changes);
+          const reviewActions = settleReview(post, from);
+          await post.save();
+          await Revision.record(post, req.user.id);
+          await recordReview(post, reviewActions, req.user.id, from);
+        }
+        results.push({ ...item, result: "updated", changes });
+      } catch (error) {
+        results.push({
+          ...item,
+          result: "failed",
+          error: error.message || String(error),
+        });
+      }
+    }
+
+    const summary = results.reduce(
+      (counts, { result }) => ({ ...counts, [result]: counts[result] + 1 }),
+      { updated: 0, deleted: 0, unchanged: 0, failed: 0 }
+    );
+
+    res.status(200).json({
+      meta: {
+        message: dryRun
+          ? "Bulk operation simulated, nothing was changed"
+          : summary.failed > 0
+          ? "Bulk operation completed with failures"
+          : "Bulk operation completed successfully",
+      },
+      data: { action, dryRun, summary, results },
+    });
+  } catch (error) {
+    console.error("Error running bulk operation:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error running bulk operation",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Delete post (it goes to the trash until purged)
+ * @route DELETE /api/posts/:id
+ * @access Private (Admins, or the post's author)
+ */
+export const remove = async (req, res) => {
+  try {
+    // Loaded and access-checked by the canManagePost middleware
+    const { post } = req;
+
+    await moveToTrash("posts", post, req.user.id);
+
+    res.status(200).json({
+      meta: { message: "Post moved to trash successfully" },
       data: { post: null },
     });
   } catch (error) {
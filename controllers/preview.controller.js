@@ -0,0 +1,253 @@
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Post from "../models/post.model.js";
+import Revision, { REVISION_FIELDS } from "../models/revision.model.js";
+import PreviewToken from "../models/preview-token.model.js";
+import PostDraft from "../models/post-draft.model.js";
+import { previewValidationSchema } from "../schemas/preview.js";
+import { renderContent } from "../utils/content.js";
+import { siteUrl } from "../utils/links.js";
+
+/**
+ * @desc Sign a preview token. The token names its record, which is checked
+ * on every use so revoking it takes effect at once.
+ */
+const signPreviewToken = (record) =>
+  jwt.sign({ post: String(record.post) }, process.env.PREVIEW_TOKEN_SECRET, {
+    jwtid: record.id,
+    expiresIn: Math.floor((record.expiresAt - Date.now()) / 1000),
+  });
+
+/**
+ * @desc Create a preview link to a post
+ * @route POST /api/posts/:id/previews
+ * @access Private (Admins, or the post's author)
+ */
+export const create = async (req, res) => {
+  if (!process.env.PREVIEW_TOKEN_SECRET) {
+    console.error("PREVIEW_TOKEN_SECRET is missing in environment variables");
+    return res.status(500).json({
+      meta: { message: "Server configuration error" },
+    });
+  }
+
+  try {
+    const { error, value } = previewValidationSchema.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    const preview = await PreviewToken.create({
+      post: req.post._id,
+      createdBy: req.user._id,
+      note: value.note,
+      expiresAt: new Date(Date.now() + value.expiresInHours * 60 * 60 * 1000),
+    });
+    const token = signPreviewToken(preview);
+
+    res.status(201).json({
+      meta: { message: "Preview link created successfully" },
+      data: {
+        preview,
+        token,
+        url: siteUrl(`/preview/${token}`),
+      },
+    });
+  } catch (error) {
+    console.error("Error creating preview link:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error creating preview link",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get the preview links of a post (newest first). Tokens are only
+ * shown once, when a link is created.
+ * @route GET /api/posts/:id/previews
+ * @access Private (Admins, or the post's author)
+ */
+export const list = async (req, res) => {
+  try {
+    const previews = await PreviewToken.find({ post: req.post._id })
+      .sort({ createdAt: -1 })
+      .populate("createdBy", "fullName email");
+
+    const now = new Date();
+    res.status(200).json({
+      meta: { message: "Preview links retrieved successfully" },
+      data: {
+        previews: previews.map((preview) => ({
+          ...preview.toJSON(),
+          active: preview.isActive(now),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching preview links:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving preview links",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Revoke a preview link, so it no longer opens the post
+ * @route DELETE /api/posts/:id/previews/:previewId
+ * @access Private (Admins, or the post's author)
+ */
+export const revoke = async (req, res) => {
+  const { previewId } = req.params;
+
+  try {
+    const preview = mongoose.isValidObjectId(previewId)
+      ? await PreviewToken.findOne({ _id: previewId, post: req.post._id })
+      : null;
+    if (!preview) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Preview link not found", errors: true } });
+    }
+
+    if (!preview.revokedAt) {
+      preview.revokedAt = new Date();
+      await preview.save();
+    }
+
+    res.status(200).json({
+      meta: { message: "Preview link revoked successfully" },
+      data: { preview },
+    });
+  } catch (error) {
+    console.error("Error revoking preview link:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error revoking preview link",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Read the post a preview link was made for, published or not, with
+ * its unsaved changes if any were autosaved, else as of its latest revision
+ * @route GET /api/previews/:token
+ * @access Public (with a valid preview token)
+ */
+export const show = async (req, res) => {
+  const { token } = req.params;
+
+  // Previews are never cached nor indexed
+  res.set({
+    "Cache-Control": "private, no-store",
+    "X-Robots-Tag": "noindex, nofollow",
+  });
+
+  try {
+    let claims;
+    try {
+      claims = jwt.verify(token, process.env.PREVIEW_TOKEN_SECRET);
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        return res.status(410).json({
+          meta: { message: "Preview link has expired", errors: true },
+        });
+      }
+      return res
+        .status(401)
+        .json({ meta: { message: "Invalid preview link", errors: true } });
+    }
+
+    const preview = mongoose.isValidObjectId(claims.jti)
+      ? await PreviewToken.findById(claims.jti)
+      : null;
+    if (!preview || String(preview.post) !== claims.post) {
+      return res
+        .status(401)
+        .json({ meta: { message: "Invalid preview link", errors: true } });
+    }
+    if (!preview.isActive()) {
+      return res.status(410).json({
+        meta: {
+          message: preview.revokedAt
+            ? "Preview link has been revoked"
+            : "Preview link has expired",
+          errors: true,
+        },
+      });
+    }
+
+    const post = await Post.findById(preview.post)
+      .populate("category", "name slug translations")
+      .populate("author", "fullName");
+    if (!post) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Post not found", errors: true } });
+    }
+
+    const result = {
+      ...post.toJSON(),
+      category: post.category && post.category.localize(post.locale),
+      published: post.isPublished(),
+    };
+
+    // Show the autosaved, unsaved changes when there are some, else the
+    // latest revision, saying which one reviewers are reading
+    const [draft, revision] = await Promise.all([
+      PostDraft.findOne({ post: post._id }),
+      Revision.findOne({ post: post._id }).sort({ version: -1 }),
+    ]);
+    const text = draft || revision;
+    if (text) {
+      REVISION_FIELDS.forEach((field) => {
+        // Older revisions have no format; the post's own applies
+        if (text[field] !== undefined) result[field] = text[field];
+      });
+      Object.assign(
+        result,
+        renderContent(result.content, result.contentFormat)
+      );
+    }
+    if (revision) {
+      result.revision = {
+        version: revision.version,
+        createdAt: revision.createdAt,
+      };
+    }
+    result.draft = draft ? { updatedAt: draft.updatedAt } : null;
+
+    preview.lastUsedAt = new Date();
+    await preview.save();
+
+    res.status(200).json({
+      meta: { message: "Post preview retrieved successfully" },
+      data: {
+        post: result,
+        preview: { expiresAt: preview.expiresAt },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching post preview:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving post preview",
+        errors: error.message || error,
+      },
+    });
+  }
+};
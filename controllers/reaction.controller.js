@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import Post from "../models/post.model.js";
+import Reaction from "../models/reaction.model.js";
+import { reactionValidationSchema } from "../schemas/reaction.js";
+
+/**
+ * @desc Add or remove the user's reaction of a given type on a post
+ * @route POST /api/posts/:id/reactions
+ * @access Private
+ */
+export const toggle = async (req, res) => {
+  const { id } = req.params;
+  const { type } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const { error } = reactionValidationSchema.validate({ type });
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    const post = mongoose.isValidObjectId(id) ? await Post.findById(id) : null;
+    if (!post || !post.isPublished()) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Post not found", errors: true } });
+    }
+
+    // Remove the reaction if it exists, otherwise add it
+    let reacted = false;
+    const removed = await Reaction.findOneAndDelete({
+      post: id,
+      user: userId,
+      type,
+    });
+
+    if (!removed) {
+      try {
+        await Reaction.create({ post: id, user: userId, type });
+        reacted = true;
+      } catch (err) {
+        // A concurrent request already added the same reaction
+        if (err.code !== 11000) throw err;
+      }
+    }
+
+    // Reactions leave the post's updatedAt date alone, as views do
+    const change = removed ? -1 : reacted ? 1 : 0;
+    const updated = await Post.findByIdAndUpdate(
+      id,
+      { $inc: { [`reactionCounts.${type}`]: change } },
+      { new: true, timestamps: false }
+    ).select("reactionCounts");
+    // The post was deleted or trashed meanwhile
+    if (!updated) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Post not found", errors: true } });
+    }
+
+    const mine = await Reaction.forUser([id], userId);
+
+    res.status(200).json({
+      meta: { message: "Reaction updated successfully" },
+      data: {
+        reacted: !removed,
+        reactionCounts: updated.reactionCounts,
+        myReactions: mine.get(id) || [],
+      },
+    });
+  } catch (error) {
+    console.error("Error updating reaction:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error updating reaction",
+        errors: error.message || error,
+      },
+    });
+  }
+};
@@ -0,0 +1,450 @@
+import mongoose from "mongoose";
+import ReadingList, { MAX_LIST_POSTS } from "../models/reading-list.model.js";
+import Post from "../models/post.model.js";
+import {
+  readingListValidationSchema,
+  readingListOrderValidationSchema,
+} from "../schemas/reading-list.js";
+import { bookmarkValidationSchema } from "../schemas/bookmark.js";
+
+const listPostFields = "title slug description thumbnail category author";
+
+/**
+ * @desc Populate the posts of reading lists the user may still read. Posts
+ * unpublished or trashed since they were added come back null.
+ */
+const visiblePosts = (user) => ({
+  path: "posts.post",
+  select: listPostFields,
+  match: Post.visibleTo(user),
+});
+
+/**
+ * @desc A reading list without the posts the user may no longer read
+ */
+const withVisiblePosts = (readingList) => {
+  const result = readingList.toJSON();
+  result.posts = result.posts.filter(({ post }) => post);
+  return result;
+};
+
+/**
+ * @desc Find a reading list owned by the current user
+ */
+const findOwnList = (id, userId) =>
+  mongoose.isValidObjectId(id)
+    ? ReadingList.findOne({ _id: id, user: userId })
+    : null;
+
+/**
+ * @desc Get the current user's reading lists
+ * @route GET /api/reading-lists
+ * @access Private
+ */
+export const list = async (req, res) => {
+  try {
+    const readingLists = await ReadingList.find({ user: req.user.id })
+      .sort({ position: 1, createdAt: 1 })
+      .populate(visiblePosts(req.user));
+
+    res.status(200).json({
+      meta: { message: "Reading lists retrieved successfully" },
+      data: { readingLists: readingLists.map(withVisiblePosts) },
+    });
+  } catch (error) {
+    console.error("Error fetching reading lists:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error fetching reading lists",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Create a reading list
+ * @route POST /api/reading-lists
+ * @access Private
+ */
+export const create = async (req, res) => {
+  const { name, description, isPublic } = req.body;
+
+  try {
+    const { error } = readingListValidationSchema.validate(
+      { name, description, isPublic },
+      { abortEarly: false }
+    );
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    // New lists go to the end
+    const last = await ReadingList.findOne({ user: req.user.id })
+      .sort({ position: -1 })
+      .select("position");
+
+    const readingList = new ReadingList({
+      user: req.user.id,
+      name,
+      description,
+      position: last ? last.position + 1 : 0,
+    });
+    if (isPublic) {
+      readingList.share();
+    }
+    await readingList.save();
+
+    res.status(201).json({
+      meta: { message: "Reading list created successfully" },
+      data: { readingList },
+    });
+  } catch (error) {
+    console.error("Error creating reading list:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error creating reading list",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get one of the current user's reading lists
+ * @route GET /api/reading-lists/:id
+ * @access Private
+ */
+export const show = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const readingList = await findOwnList(id, req.user.id)?.populate(
+      visiblePosts(req.user)
+    );
+
+    if (!readingList) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Reading list not found", errors: true } });
+    }
+
+    res.status(200).json({
+      meta: { message: "Reading list retrieved successfully" },
+      data: { readingList: withVisiblePosts(readingList) },
+    });
+  } catch (error) {
+    console.error("Error fetching reading list:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error fetching reading list",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Rename a reading list, or change its description or visibility
+ * @route PUT /api/reading-lists/:id
+ * @access Private
+ */
+export const update = async (req, res) => {
+  const { id } = req.params;
+  const { name, description, isPublic } = req.body;
+
+  try {
+    const { error } = readingListValidationSchema.validate(
+      { name, description, isPublic },
+      { abortEarly: false }
+    );
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    const readingList = await findOwnList(id, req.user.id);
+    if (!readingList) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Reading list not found", errors: true } });
+    }
+
+    readingList.name = name;
+    if (description !== undefined) {
+      readingList.description = description;
+    }
+    if (isPublic === true) {
+      readingList.share();
+    } else if (isPublic === false) {
+      readingList.isPublic = false;
+    }
+    await readingList.save();
+
+    res.status(200).json({
+      meta: { message: "Reading list updated successfully" },
+      data: { readingList },
+    });
+  } catch (error) {
+    console.error("Error updating reading list:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error updating reading list",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Reorder the current user's reading lists
+ * @route PUT /api/reading-lists/order
+ * @access Private
+ */
+export const reorder = async (req, res) => {
+  const { lists } = req.body;
+
+  try {
+    const { error } = readingListOrderValidationSchema.validate({ lists });
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    // The new order must contain exactly the user's lists
+    const owned = await ReadingList.find({ user: req.user.id }).select("_id");
+    const ownedIds = new Set(owned.map(({ _id }) => _id.toString()));
+    if (
+      lists.length !== ownedIds.size ||
+      !lists.every((id) => ownedIds.has(id))
+    ) {
+      return res.status(400).json({
+        meta: {
+          message: "The order must include each of your reading lists once",
+          errors: true,
+        },
+      });
+    }
+
+    await ReadingList.bulkWrite(
+      lists.map((id, position) => ({
+        updateOne: {
+          filter: { _id: id, user: req.user.id },
+          update: { $set: { position } },
+        },
+      }))
+    );
+
+    const readingLists = await ReadingList.find({ user: req.user.id }).sort({
+      position: 1,
+    });
+
+    res.status(200).json({
+      meta: { message: "Reading lists reordered successfully" },
+      data: { readingLists },
+    });
+  } catch (error) {
+    console.error("Error reordering reading lists:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error reordering reading lists",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Delete a reading list
+ * @route DELETE /api/reading-lists/:id
+ * @access Private
+ */
+export const remove = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const readingList = mongoose.isValidObjectId(id)
+      ? await ReadingList.findOneAndDelete({ _id: id, user: req.user.id })
+      : null;
+
+    if (!readingList) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Reading list not found", errors: true } });
+    }
+
+    res.status(200).json({
+      meta: { message: "Reading list deleted successfully" },
+      data: { readingList: null },
+    });
+  } catch (error) {
+    console.error("Error deleting reading list:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error deleting reading list",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Add a post to a reading list
+ * @route POST /api/reading-lists/:id/posts
+ * @access Private
+ */
+export const addPost = async (req, res) => {
+  const { id } = req.params;
+  const { post } = req.body;
+
+  try {
+    const { error } = bookmarkValidationSchema.validate({ post });
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    const readingList = await findOwnList(id, req.user.id);
+    if (!readingList) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Reading list not found", errors: true } });
+    }
+
+    const postExists = await Post.exists({
+      _id: post,
+      ...Post.publishedFilter(),
+    });
+    if (!postExists) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Post not found", errors: true } });
+    }
+
+    if (!readingList.hasPost(post)) {
+      if (readingList.posts.length >= MAX_LIST_POSTS) {
+        return res.status(400).json({
+          meta: {
+            message: `A reading list cannot hold more than ${MAX_LIST_POSTS} posts`,
+            errors: true,
+          },
+        });
+      }
+      readingList.posts.push({ post });
+      await readingList.save();
+    }
+
+    res.status(200).json({
+      meta: { message: "Post added to reading list successfully" },
+      data: { readingList },
+    });
+  } catch (error) {
+    console.error("Error adding post to reading list:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error adding post to reading list",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Remove a post from a reading list
+ * @route DELETE /api/reading-lists/:id/posts/:post
+ * @access Private
+ */
+export const removePost = async (req, res) => {
+  const { id, post } = req.params;
+
+  try {
+    const readingList = await findOwnList(id, req.user.id);
+    if (!readingList) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Reading list not found", errors: true } });
+    }
+
+    if (!mongoose.isValidObjectId(post) || !readingList.hasPost(post)) {
+      return res.status(404).json({
+        meta: { message: "Post is not in this reading list", errors: true },
+      });
+    }
+
+    readingList.posts = readingList.posts.filter(
+      (item) => !item.post.equals(post)
+    );
+    await readingList.save();
+
+    res.status(200).json({
+      meta: { message: "Post removed from reading list successfully" },
+      data: { readingList },
+    });
+  } catch (error) {
+    console.error("Error removing post from reading list:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error removing post from reading list",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get a public reading list through its share link
+ * @route GET /api/reading-lists/shared/:token
+ * @access Public
+ */
+export const showShared = async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const readingList = await ReadingList.findOne({
+      shareToken: token,
+      isPublic: true,
+    })
+      .populate("user", "fullName avatar")
+      // Anyone with the link sees the published posts only
+      .populate(visiblePosts(null));
+
+    if (!readingList) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Reading list not found", errors: true } });
+    }
+
+    const result = withVisiblePosts(readingList);
+    delete result.shareToken;
+
+    res.status(200).json({
+      meta: { message: "Reading list retrieved successfully" },
+      data: { readingList: result },
+    });
+  } catch (error) {
+    console.error("Error fetching shared reading list:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error fetching reading list",
+        errors: error.message || error,
+      },
+    });
+  }
+};
@@ -0,0 +1,288 @@
+import Post from "../models/post.model.js";
+import ReviewEvent from "../models/review-event.model.js";
+import {
+  submitReviewValidationSchema,
+  approveReviewValidationSchema,
+  rejectReviewValidationSchema,
+} from "../schemas/review.js";
+import { enqueue } from "../utils/queue.js";
+import { escapeXml } from "../utils/xml.js";
+import { postUrl } from "../utils/links.js";
+
+/**
+ * @desc Answer 400 with the errors of a request body that fails a schema
+ * @returns {Object|null} The validated body, or null when a response was sent
+ */
+const validateBody = (schema, req, res) => {
+  const { error, value } = schema.validate(req.body || {}, {
+    abortEarly: false,
+  });
+  if (error) {
+    res.status(400).json({
+      meta: {
+        message: "Validation errors",
+        errors: error.details.map((err) => err.message),
+      },
+    });
+    return null;
+  }
+  return value;
+};
+
+/**
+ * @desc Email the author of a post about a step of its review, in the
+ * background. The step is already saved, so a lost email never fails it.
+ */
+const notifyAuthor = async (post, subject, paragraphs) => {
+  await post.populate("author", "fullName email");
+  if (!post.author?.email) return;
+
+  const html = [
+    `<p>Hi ${escapeXml(post.author.fullName)},</p>`,
+    ...paragraphs.map((paragraph) => `<p>${paragraph}</p>`),
+  ].join("\n");
+  enqueue("email", { to: post.author.email, subject, html }).catch((error) =>
+    console.error("Error queuing review email:", error)
+  );
+};
+
+const notesParagraph = (notes) =>
+  notes
+    ? [`Reviewer notes:<br>${escapeXml(notes).replace(/\n/g, "<br>")}`]
+    : [];
+
+/**
+ * @desc Submit a draft for review by the admins
+ * @route POST /api/posts/:id/review/submit
+ * @access Private (Admins, or the post's author)
+ */
+export const submit = async (req, res) => {
+  const value = validateBody(submitReviewValidationSchema, req, res);
+  if (!value) return;
+
+  try {
+    // Loaded and access-checked by the canManagePost middleware
+    const { post } = req;
+
+    if (post.status !== "draft") {
+      return res.status(400).json({
+        meta: {
+          message: "Only drafts can be submitted for review",
+          errors: true,
+        },
+      });
+    }
+    if (post.review.status === "pending") {
+      return res.status(409).json({
+        meta: { message: "Post is already awaiting review", errors: true },
+      });
+    }
+
+    post.review = { status: "pending", submittedAt: new Date(), notes: "" };
+    await post.save();
+    const event = await ReviewEvent.record(post, "submitted", req.user._id, {
+      notes: value.notes,
+    });
+
+    await notifyAuthor(post, `Submitted for review: ${post.title}`, [
+      `Your post "${escapeXml(
+        post.title
+      )}" was submitted for review. You will be emailed once an editor has reviewed it.`,
+    ]);
+
+    res.status(200).json({
+      meta: { message: "Post submitted for review successfully" },
+      data: { post, event },
+    });
+  } catch (error) {
+    console.error("Error submitting post for review:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error submitting post for review",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Approve a post awaiting review, publishing it, or scheduling it
+ * when given a future publish date
+ * @route POST /api/posts/:id/review/approve
+ * @access Private (Admin only)
+ */
+export const approve = async (req, res) => {
+  const value = validateBody(approveReviewValidationSchema, req, res);
+  if (!value) return;
+
+  try {
+    const { post } = req;
+
+    if (post.review.status !== "pending") {
+      return res.status(409).json({
+        meta: { message: "Post is not awaiting review", errors: true },
+      });
+    }
+
+    const from = post.status;
+    const scheduled = !!value.publishAt && value.publishAt > new Date();
+    post.status = scheduled ? "scheduled" : "published";
+    post.publishAt = value.publishAt || null;
+    post.review.status = "approved";
+    post.review.notes = value.notes || "";
+    await post.save();
+    const event = await ReviewEvent.record(post, "approved", req.user._id, {
+      notes: value.notes,
+      from,
+    });
+
+    await notifyAuthor(post, `Approved: ${post.title}`, [
+      scheduled
+        ? `Your post "${escapeXml(
+            post.title
+          )}" was approved and will be published on ${post.publishAt.toUTCString()}.`
+        : `Your post "${escapeXml(
+            post.title
+          )}" was approved and is now published: <a href="${escapeXml(
+            postUrl(post.slug)
+          )}">${escapeXml(postUrl(post.slug))}</a>`,
+      ...notesParagraph(value.notes),
+    ]);
+
+    res.status(200).json({
+      meta: {
+        message: scheduled
+          ? "Post approved and scheduled successfully"
+          : "Post approved and published successfully",
+      },
+      data: { post, event },
+    });
+  } catch (error) {
+    console.error("Error approving post:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error approving post",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Reject a post awaiting review, sending it back to its author as a
+ * draft with the reviewer's notes
+ * @route POST /api/posts/:id/review/reject
+ * @access Private (Admin only)
+ */
+export const reject = async (req, res) => {
+  const value = validateBody(rejectReviewValidationSchema, req, res);
+  if (!value) return;
+
+  try {
+    const { post } = req;
+
+    if (post.review.status !== "pending") {
+      return res.status(409).json({
+        meta: { message: "Post is not awaiting review", errors: true },
+      });
+    }
+
+    post.review.status = "rejected";
+    post.review.notes = value.notes;
+    await post.save();
+    const event = await ReviewEvent.record(post, "rejected", req.user._id, {
+      notes: value.notes,
+    });
+
+    await notifyAuthor(post, `Changes requested: ${post.title}`, [
+      `Your post "${escapeXml(
+        post.title
+      )}" was not approved. You can edit it and submit it again.`,
+      ...notesParagraph(value.notes),
+    ]);
+
+    res.status(200).json({
+      meta: { message: "Post rejected successfully" },
+      data: { post, event },
+    });
+  } catch (error) {
+    console.error("Error rejecting post:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error rejecting post",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get the posts awaiting review, longest waiting first
+ * @route GET /api/reviews?page=&limit=
+ * @access Private (Admin only)
+ */
+export const queue = async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  try {
+    const query = { "review.status": "pending" };
+    const [posts, totalItems] = await Promise.all([
+      Post.find(query)
+        .sort({ "review.submittedAt": 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("-content -contentHtml -toc")
+        .populate("category", "name slug")
+        .populate("author", "fullName email"),
+      Post.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      meta: { message: "Review queue retrieved successfully" },
+      data: {
+        posts,
+        pagination: {
+          itemsPerPage: limit,
+          currentPage: page,
+          totalPages: Math.ceil(totalItems / limit),
+          totalItems,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching review queue:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving review queue",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get the review history of a post (oldest first)
+ * @route GET /api/posts/:id/reviews
+ * @access Private (Admins, or the post's author)
+ */
+export const history = async (req, res) => {
+  try {
+    const events = await ReviewEvent.find({ post: req.post._id })
+      .sort({ createdAt: 1 })
+      .populate("actor", "fullName email");
+
+    res.status(200).json({
+      meta: { message: "Review history retrieved successfully" },
+      data: { review: req.post.review, events },
+    });
+  } catch (error) {
+    console.error("Error fetching review history:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving review history",
+        errors: error.message || error,
+      },
+    });
+  }
+};
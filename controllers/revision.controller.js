@@ -0,0 +1,286 @@
+import Revision, { REVISION_FIELDS } from "../models/revision.model.js";
+import PostDraft from "../models/post-draft.model.js";
+import { draftValidationSchema } from "../schemas/draft.js";
+import { diffFields } from "../utils/diff.js";
+import { saveWithSlug } from "../utils/slug.js";
+import { settleReview, recordReview } from "../utils/review.js";
+
+/**
+ * @desc Get the revision history of a post (newest first)
+ * @route GET /api/posts/:id/revisions
+ * @access Private (Admins, or the post's author)
+ */
+export const list = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const revisions = await Revision.find({ post: id })
+      .sort({ version: -1 })
+      .select("-content")
+      .populate("editor", "fullName email");
+
+    res.status(200).json({
+      meta: { message: "Revisions retrieved successfully" },
+      data: { revisions },
+    });
+  } catch (error) {
+    console.error("Error fetching revisions:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving revisions",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get a single revision of a post
+ * @route GET /api/posts/:id/revisions/:version
+ * @access Private (Admins, or the post's author)
+ */
+export const show = async (req, res) => {
+  const { id, version } = req.params;
+
+  try {
+    const revision = await Revision.findOne({
+      post: id,
+      version: Number(version),
+    }).populate("editor", "fullName email");
+
+    if (!revision) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Revision not found", errors: true } });
+    }
+
+    res.status(200).json({
+      meta: { message: "Revision retrieved successfully" },
+      data: { revision },
+    });
+  } catch (error) {
+    console.error("Error fetching revision:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving revision",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Field-level diff between two revisions of a post
+ * @route GET /api/posts/:id/revisions/diff?from=&to=
+ * @access Private (Admins, or the post's author)
+ */
+export const diff = async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+
+  try {
+    if (!Number.isInteger(Number(from)) || !Number.isInteger(Number(to))) {
+      return res.status(400).json({
+        meta: {
+          message: "Both 'from' and 'to' revision versions are required",
+          errors: true,
+        },
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      Revision.findOne({ post: id, version: Number(from) }),
+      Revision.findOne({ post: id, version: Number(to) }),
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Revision not found", errors: true } });
+    }
+
+    res.status(200).json({
+      meta: { message: "Revision diff generated successfully" },
+      data: {
+        from: fromRevision.version,
+        to: toRevision.version,
+        changes: diffFields(fromRevision, toRevision, REVISION_FIELDS),
+      },
+    });
+  } catch (error) {
+    console.error("Error diffing revisions:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error generating revision diff",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Restore an old revision as the current version of a post
+ * @route POST /api/posts/:id/revisions/:version/restore
+ * @access Private (Admins, or the post's author)
+ */
+export const restore = async (req, res) => {
+  const { id, version } = req.params;
+
+  try {
+    const revision = await Revision.findOne({
+      post: id,
+      version: Number(version),
+    });
+
+    if (!revision) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Revision not found", errors: true } });
+    }
+
+    const { post } = req;
+
+    // Saving lets the model re-slug, re-render and re-index the post
+    REVISION_FIELDS.forEach((field) => {
+      // Older revisions have no format; the post keeps its own
+      if (revision[field] !== undefined) post.set(field, revision[field]);
+    });
+    const reviewActions = settleReview(post, post.status);
+    await saveWithSlug(post);
+    await post.populate([
+      { path: "category", select: "name" },
+      { path: "author", select: "fullName" },
+    ]);
+
+    // Restoring is itself a change, so it gets its own revision
+    const current = await Revision.record(post, req.user.id, revision.version);
+    await recordReview(post, reviewActions, req.user.id, post.status);
+    await PostDraft.deleteOne({ post: post._id });
+
+    res.status(200).json({
+      meta: { message: `Revision ${revision.version} restored successfully` },
+      data: { post, revision: current },
+    });
+  } catch (error) {
+    console.error("Error restoring revision:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error restoring revision",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get the autosaved, unsaved changes to a post
+ * @route GET /api/posts/:id/draft
+ * @access Private (Admins, or the post's author)
+ */
+export const showDraft = async (req, res) => {
+  try {
+    const draft = await PostDraft.findOne({ post: req.post._id }).populate(
+      "editor",
+      "fullName email"
+    );
+
+    if (!draft) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Draft not found", errors: true } });
+    }
+
+    res.status(200).json({
+      meta: { message: "Draft retrieved successfully" },
+      data: { draft },
+    });
+  } catch (error) {
+    console.error("Error fetching draft:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving draft",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Autosave unsaved changes to a post, leaving the post itself as it
+ * is. Fields left out keep their draft value, or the post's in a new draft.
+ * @route PUT /api/posts/:id/draft
+ * @access Private (Admins, or the post's author)
+ */
+export const saveDraft = async (req, res) => {
+  try {
+    const { error, value } = draftValidationSchema.validate(req.body || {}, {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    const { post } = req;
+    const fromPost = {};
+    REVISION_FIELDS.forEach((field) => {
+      if (value[field] === undefined) fromPost[field] = post[field];
+    });
+
+    const draft = await PostDraft.findOneAndUpdate(
+      { post: post._id },
+      {
+        $set: { ...value, editor: req.user._id },
+        $setOnInsert: fromPost,
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      meta: { message: "Draft saved successfully" },
+      data: { draft },
+    });
+  } catch (error) {
+    console.error("Error saving draft:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error saving draft",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Discard the unsaved changes to a post
+ * @route DELETE /api/posts/:id/draft
+ * @access Private (Admins, or the post's author)
+ */
+export const discardDraft = async (req, res) => {
+  try {
+    const { deletedCount } = await PostDraft.deleteOne({ post: req.post._id });
+
+    if (!deletedCount) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Draft not found", errors: true } });
+    }
+
+    res.status(200).json({
+      meta: { message: "Draft discarded successfully" },
+      data: { draft: null },
+    });
+  } catch (error) {
+    console.error("Error discarding draft:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error discarding draft",
+        errors: error.message || error,
+      },
+    });
+  }
+};
@@ -0,0 +1,254 @@
+import mongoose from "mongoose";
+import Series from "../models/series.model.js";
+import Post from "../models/post.model.js";
+import { seriesValidationSchema } from "../schemas/series.js";
+import { saveWithSlug } from "../utils/slug.js";
+
+/**
+ * @desc Check that the posts exist and are not part of another series
+ * @returns {Promise<string|null>} An error message, or null when the parts are valid
+ */
+const checkParts = async (posts, seriesId = null) => {
+  if (!posts || posts.length === 0) return null;
+
+  const found = await Post.countDocuments({ _id: { $in: posts } });
+  if (found !== posts.length) {
+    return "Some posts of the series do not exist";
+  }
+
+  const taken = await Series.findOne({
+    _id: { $ne: seriesId },
+    posts: { $in: posts },
+  }).select("title");
+  if (taken) {
+    return `Some posts already belong to the series "${taken.title}"`;
+  }
+
+  return null;
+};
+
+/**
+ * @desc Create a new series
+ * @route POST /api/series
+ * @access Private (Admin only)
+ */
+export const create = async (req, res) => {
+  const { title, slug, description, posts } = req.body;
+
+  try {
+    const { error } = seriesValidationSchema.validate(
+      { title, slug, description, posts },
+      { abortEarly: false }
+    );
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    const partsError = await checkParts(posts);
+    if (partsError) {
+      return res
+        .status(400)
+        .json({ meta: { message: partsError, errors: true } });
+    }
+
+    const series = await saveWithSlug(
+      new Series({ title, slug, description, posts: posts || [] })
+    );
+
+    res.status(201).json({
+      meta: { message: "Series created successfully" },
+      data: { series },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        meta: { message: "This slug is already in use", errors: true },
+      });
+    }
+    console.error("Error creating series:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error creating series",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get all series
+ * @route GET /api/series
+ * @access Public
+ */
+export const list = async (req, res) => {
+  try {
+    const series = await Series.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      meta: { message: "Series retrieved successfully" },
+      data: { series },
+    });
+  } catch (error) {
+    console.error("Error fetching series:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving series",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get a series by ID or slug, with its parts in order
+ * @route GET /api/series/:identifier
+ * @access Public (unpublished parts are visible to admins only)
+ */
+export const show = async (req, res) => {
+  const { identifier } = req.params;
+
+  try {
+    const filter = mongoose.isValidObjectId(identifier)
+      ? { _id: identifier }
+      : { slug: identifier };
+
+    const series = await Series.findOne(filter).populate({
+      path: "posts",
+      select: "title slug description thumbnail status publishAt",
+      match: req.user?.role === "admin" ? {} : Post.publishedFilter(),
+    });
+
+    if (!series) {
+      // An old slug points to the series' current one
+      const moved = await Series.findOne({ previousSlugs: identifier });
+      if (moved) {
+        return res
+          .status(301)
+          .location(`/api/series/${moved.slug}`)
+          .json({
+            meta: { message: "Series has moved to a new slug" },
+            data: { slug: moved.slug, canonical: `/api/series/${moved.slug}` },
+          });
+      }
+
+      return res
+        .status(404)
+        .json({ meta: { message: "Series not found", errors: true } });
+    }
+
+    // Parts filtered out by the populate match come back as null
+    series.posts = series.posts.filter(Boolean);
+
+    res.status(200).json({
+      meta: { message: "Series retrieved successfully" },
+      data: { series },
+    });
+  } catch (error) {
+    console.error("Error fetching series:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error fetching series",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Update a series (title, description and the ordered list of parts)
+ * @route PUT /api/series/:id
+ * @access Private (Admin only)
+ */
+export const update = async (req, res) => {
+  const { id } = req.params;
+  const { title, slug, description, posts } = req.body;
+
+  try {
+    const { error } = seriesValidationSchema.validate(
+      { title, slug, description, posts },
+      { abortEarly: false }
+    );
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    const series = await Series.findById(id);
+    if (!series) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Series not found", errors: true } });
+    }
+
+    const partsError = await checkParts(posts, series._id);
+    if (partsError) {
+      return res
+        .status(400)
+        .json({ meta: { message: partsError, errors: true } });
+    }
+
+    series.title = title;
+    if (slug) series.slug = slug;
+    if (description !== undefined) series.description = description;
+    if (posts !== undefined) series.posts = posts;
+    await saveWithSlug(series);
+
+    res.status(200).json({
+      meta: { message: "Series updated successfully" },
+      data: { series },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        meta: { message: "This slug is already in use", errors: true },
+      });
+    }
+    console.error("Error updating series:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error updating series",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Delete a series (its posts are kept)
+ * @route DELETE /api/series/:id
+ * @access Private (Admin only)
+ */
+export const remove = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const series = await Series.findByIdAndDelete(id);
+    if (!series) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Series not found", errors: true } });
+    }
+
+    res.status(200).json({
+      meta: { message: "Series deleted successfully" },
+      data: { series: null },
+    });
+  } catch (error) {
+    console.error("Error deleting series:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error deleting series",
+        errors: error.message || error,
+      },
+    });
+  }
+};
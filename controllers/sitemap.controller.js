@@ -0,0 +1,210 @@
+import Post from "../models/post.model.js";
+import Category from "../models/category.model.js";
+import { createCache } from "../utils/cache.js";
+import { sendConditional } from "../utils/conditional.js";
+import { DEFAULT_LOCALE } from "../utils/locale.js";
+import { apiUrl, siteUrl, postUrl, categoryUrl } from "../utils/links.js";
+import { SITEMAP_SIZE, renderUrlset, renderIndex } from "../utils/sitemap.js";
+
+// Search engines may reuse a sitemap this long before asking again
+const SITEMAP_MAX_AGE_SECONDS = 3600;
+
+// Rendered sitemaps, keyed by the state of the content they show, so any
+// change to the posts or categories makes them stale at once
+const sitemapCache = createCache(60 * 60 * 1000, 100);
+
+/**
+ * @desc Query filter leaving out what the head tags keep out of search
+ * results: documents marked noindex, or whose canonical URL is another page
+ * @param {Function} url - Builds a document's own URL from its slug
+ */
+const indexableFilter = (url) => ({
+  "seo.noindex": { $ne: true },
+  $expr: {
+    $in: [
+      { $ifNull: ["$seo.canonicalUrl", ""] },
+      ["", { $concat: [url(""), "$slug"] }],
+    ],
+  },
+});
+
+const indexablePosts = () => ({
+  ...Post.publishedFilter(),
+  ...indexableFilter(postUrl),
+});
+
+/**
+ * @desc Count and last update of the indexable published posts and
+ * categories. Creating, editing, publishing, unpublishing or deleting a
+ * post or category changes it, including a scheduled post going live.
+ */
+const contentState = async () => {
+  const summary = {
+    $group: { _id: null, count: { $sum: 1 }, latest: { $max: "$updatedAt" } },
+  };
+  const [[posts], [categories]] = await Promise.all([
+    Post.aggregate([{ $match: indexablePosts() }, summary]),
+    Category.aggregate([{ $match: indexableFilter(categoryUrl) }, summary]),
+  ]);
+
+  const postCount = posts?.count || 0;
+  const categoryCount = categories?.count || 0;
+  const lastModified = new Date(
+    Math.max(posts?.latest || 0, categories?.latest || 0)
+  );
+  return {
+    postCount,
+    categoryCount,
+    lastModified,
+    key: `${postCount}:${categoryCount}:${lastModified.getTime()}`,
+  };
+};
+
+/**
+ * @desc The home page and the category pages
+ */
+const pageUrls = async (lastModified) => {
+  const categories = await Category.find(indexableFilter(categoryUrl))
+    .sort({ name: 1 })
+    .select("slug updatedAt");
+
+  return [
+    { loc: siteUrl("/"), lastmod: lastModified },
+    ...categories.map((category) => ({
+      loc: categoryUrl(category.slug),
+      lastmod: category.updatedAt,
+    })),
+  ];
+};
+
+/**
+ * @desc A page of published posts, each with its translations as hreflang
+ * alternates, the default locale version standing for x-default
+ */
+const postUrls = async (page, size) => {
+  const posts = await Post.find(indexablePosts())
+    .sort({ _id: 1 })
+    .skip((page - 1) * size)
+    .limit(size)
+    .select("slug locale translationGroup updatedAt");
+  const translations = await Post.translationsOf(posts, null);
+
+  return posts.map((post) => {
+    const versions = [
+      { locale: post.locale, slug: post.slug },
+      ...translations.get(post.id),
+    ];
+    const fallback = versions.find(
+      (version) => version.locale === DEFAULT_LOCALE
+    );
+
+    return {
+      loc: postUrl(post.slug),
+      lastmod: post.updatedAt,
+      alternates:
+        versions.length > 1
+          ? [
+              ...versions.map((version) => ({
+                hreflang: version.locale,
+                href: postUrl(version.slug),
+              })),
+              ...(fallback
+                ? [{ hreflang: "x-default", href: postUrl(fallback.slug) }]
+                : []),
+            ]
+          : [],
+    };
+  });
+};
+
+/**
+ * @desc Send a sitemap, rendering it only when the content changed since
+ * it was last rendered
+ */
+const sendSitemap = async (req, res, state, name, render) => {
+  const cacheKey = `${name}|${state.key}`;
+  let body = sitemapCache.get(cacheKey);
+  if (body === undefined) {
+    body = await render();
+    sitemapCache.set(cacheKey, body);
+  }
+
+  res.set({
+    "Content-Type": "application/xml; charset=utf-8",
+    "Cache-Control": `public, max-age=${SITEMAP_MAX_AGE_SECONDS}`,
+  });
+  sendConditional(req, res, body, state.lastModified);
+};
+
+/**
+ * @desc The sitemap of the site: the pages and posts themselves while they
+ * fit in one file, else an index of the sitemaps they are split into
+ * @route GET /api/sitemap.xml
+ * @access Public
+ */
+export const index = async (req, res) => {
+  try {
+    const state = await contentState();
+    const postPages = Math.ceil(state.postCount / SITEMAP_SIZE);
+
+    await sendSitemap(req, res, state, "index", async () => {
+      if (state.postCount + state.categoryCount + 1 <= SITEMAP_SIZE) {
+        return renderUrlset([
+          ...(await pageUrls(state.lastModified)),
+          ...(await postUrls(1, SITEMAP_SIZE)),
+        ]);
+      }
+
+      return renderIndex([
+        apiUrl("/api/sitemaps/pages.xml"),
+        ...Array.from({ length: postPages }, (_, index) =>
+          apiUrl(`/api/sitemaps/posts-${index + 1}.xml`)
+        ),
+      ]);
+    });
+  } catch (error) {
+    console.error("Error building sitemap:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error building sitemap",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc One of the sitemaps listed by the sitemap index: "pages" for the
+ * home and category pages, or "posts-1", "posts-2"... for the posts
+ * @route GET /api/sitemaps/:name.xml
+ * @access Public
+ */
+export const show = async (req, res) => {
+  const { name } = req.params;
+
+  try {
+    const state = await contentState();
+    const page = parseInt(/^posts-(\d+)$/.exec(name)?.[1]);
+
+    let render;
+    if (name === "pages") {
+      render = async () => renderUrlset(await pageUrls(state.lastModified));
+    } else if (page >= 1 && page <= Math.ceil(state.postCount / SITEMAP_SIZE)) {
+      render = async () => renderUrlset(await postUrls(page, SITEMAP_SIZE));
+    } else {
+      return res
+        .status(404)
+        .json({ meta: { message: "Sitemap not found", errors: true } });
+    }
+
+    await sendSitemap(req, res, state, name, render);
+  } catch (error) {
+    console.error("Error building sitemap:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error building sitemap",
+        errors: error.message || error,
+      },
+    });
+  }
+};
@@ -0,0 +1,265 @@
+import Tag from "../models/tag.model.js";
+import Post from "../models/post.model.js";
+import {
+  tagValidationSchema,
+  tagMergeValidationSchema,
+} from "../schemas/tag.js";
+import { toSlug } from "../utils/slug.js";
+
+/**
+ * @desc Get all tags with the number of published posts using each one
+ * @route GET /api/tags
+ * @access Public
+ */
+export const list = async (req, res) => {
+  try {
+    const [tags, counts] = await Promise.all([
+      Tag.find().sort({ name: 1 }),
+      Post.aggregate([
+        { $match: Post.publishedFilter() },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countByName = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.status(200).json({
+      meta: { message: "Tags retrieved successfully" },
+      data: {
+        tags: tags.map((tag) => ({
+          ...tag.toJSON(),
+          postCount: countByName.get(tag.name) || 0,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching tags:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving tags",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Get a tag by slug, with its published posts
+ * @route GET /api/tags/:slug?page=&limit=
+ * @access Public
+ */
+export const show = async (req, res) => {
+  const { slug } = req.params;
+  const { page = 1, limit = 10 } = req.query;
+
+  try {
+    const tag = await Tag.findOne({ slug });
+
+    if (!tag) {
+      // Former names and merged tags point to the tag they became
+      const moved = await Tag.findOne({ aliases: slug });
+      if (moved) {
+        return res
+          .status(301)
+          .location(`/api/tags/${moved.slug}`)
+          .json({
+            meta: { message: "Tag has moved to a new slug" },
+            data: { slug: moved.slug, canonical: `/api/tags/${moved.slug}` },
+          });
+      }
+
+      return res
+        .status(404)
+        .json({ meta: { message: "Tag not found", errors: true } });
+    }
+
+    const query = { ...Post.publishedFilter(), tags: tag.name };
+    const [posts, totalPosts] = await Promise.all([
+      Post.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .populate("category", "name slug")
+        .populate("author", "fullName"),
+      Post.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      meta: { message: "Tag retrieved successfully" },
+      data: {
+        tag,
+        posts,
+        pagination: {
+          itemsPerPage: parseInt(limit),
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalPosts / limit),
+          totalItems: totalPosts,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching tag:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error fetching tag",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Rename a tag or change its description, updating every post using it
+ * @route PUT /api/tags/:id
+ * @access Private (Admin only)
+ */
+export const update = async (req, res) => {
+  const { id } = req.params;
+  const { name, description } = req.body;
+
+  try {
+    const { error } = tagValidationSchema.validate(
+      { name, description },
+      { abortEarly: false }
+    );
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    const tag = await Tag.findById(id);
+    if (!tag) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Tag not found", errors: true } });
+    }
+
+    const slug = toSlug(name);
+    if (!slug) {
+      return res.status(400).json({
+        meta: {
+          message: "Name must contain at least one letter or number",
+          errors: true,
+        },
+      });
+    }
+
+    // Renaming onto another tag is a merge, not a rename
+    const taken = await Tag.findOne({
+      _id: { $ne: tag._id },
+      $or: [{ slug }, { aliases: slug }],
+    });
+    if (taken) {
+      return res.status(409).json({
+        meta: {
+          message: `This name belongs to the tag "${taken.name}", merge the tags instead`,
+          errors: true,
+        },
+      });
+    }
+
+    const previousName = tag.name;
+    tag.name = name.trim();
+    if (description !== undefined) {
+      tag.description = description;
+    }
+
+    // The old slug keeps resolving to the tag
+    if (slug !== tag.slug) {
+      tag.aliases = [
+        ...new Set([...tag.aliases, tag.slug].filter((s) => s !== slug)),
+      ];
+      tag.slug = slug;
+    }
+    await tag.save();
+
+    const updatedPosts =
+      tag.name !== previousName
+        ? await Post.replaceTag(previousName, tag.name)
+        : 0;
+
+    res.status(200).json({
+      meta: { message: "Tag updated successfully" },
+      data: { tag, updatedPosts },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        meta: { message: "A tag with this name already exists", errors: true },
+      });
+    }
+    console.error("Error updating tag:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error updating tag",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Merge a tag into another one: its posts move to the other tag and
+ * its slug and aliases become aliases of the other tag
+ * @route POST /api/tags/:id/merge
+ * @access Private (Admin only)
+ */
+export const merge = async (req, res) => {
+  const { id } = req.params;
+  const { into } = req.body;
+
+  try {
+    const { error } = tagMergeValidationSchema.validate({ into });
+    if (error) {
+      return res.status(400).json({
+        meta: {
+          message: "Validation errors",
+          errors: error.details.map((err) => err.message),
+        },
+      });
+    }
+
+    if (into === id) {
+      return res.status(400).json({
+        meta: { message: "A tag cannot be merged into itself", errors: true },
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Tag.findById(id),
+      Tag.findById(into),
+    ]);
+    if (!source || !target) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Tag not found", errors: true } });
+    }
+
+    const updatedPosts = await Post.replaceTag(source.name, target.name);
+
+    // Links to the merged tag keep working through the target's aliases
+    await source.deleteOne();
+    target.aliases = [
+      ...new Set([...target.aliases, source.slug, ...source.aliases]),
+    ];
+    await target.save();
+
+    res.status(200).json({
+      meta: { message: "Tags merged successfully" },
+      data: { tag: target, updatedPosts },
+    });
+  } catch (error) {
+    console.error("Error merging tags:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error merging tags",
+        errors: error.message || error,
+      },
+    });
+  }
+};
@@ -0,0 +1,154 @@
+import mongoose from "mongoose";
+import { TRASH_TYPES, purgeDate, purgeItem } from "../utils/trash.js";
+
+/**
+ * @desc Look up the trash of a type, answering 400 for unknown types
+ * @returns {Object|null} The trash type, or null when a response was sent
+ */
+const trashType = (req, res) => {
+  // Own keys only, so "constructor" and the like are unknown types too
+  const type = Object.hasOwn(TRASH_TYPES, req.params.type)
+    ? TRASH_TYPES[req.params.type]
+    : null;
+  if (!type) {
+    res.status(400).json({
+      meta: {
+        message: `Unknown trash type, expected one of ${Object.keys(
+          TRASH_TYPES
+        ).join(", ")}`,
+        errors: true,
+      },
+    });
+    return null;
+  }
+  return type;
+};
+
+/**
+ * @desc Find a trashed item by ID
+ */
+const findTrashed = (Model, id) =>
+  mongoose.isValidObjectId(id)
+    ? Model.findOne({ _id: id, deletedAt: { $ne: null } })
+    : null;
+
+/**
+ * @desc Get the trashed items of a type, most recently deleted first
+ * @route GET /api/trash/:type?page=&limit=
+ * @access Private (Admin only)
+ */
+export const list = async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const type = trashType(req, res);
+  if (!type) return;
+
+  try {
+    const query = { deletedAt: { $ne: null } };
+    const [items, totalItems] = await Promise.all([
+      type.Model.find(query)
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("deletedBy", "fullName email"),
+      type.Model.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      meta: { message: "Trash retrieved successfully" },
+      data: {
+        items: items.map((item) => ({
+          ...item.toJSON(),
+          purgeAt: purgeDate(item),
+        })),
+        pagination: {
+          itemsPerPage: limit,
+          currentPage: page,
+          totalPages: Math.ceil(totalItems / limit),
+          totalItems,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching trash:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error retrieving trash",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Take an item out of the trash
+ * @route POST /api/trash/:type/:id/restore
+ * @access Private (Admin only)
+ */
+export const restore = async (req, res) => {
+  const type = trashType(req, res);
+  if (!type) return;
+
+  try {
+    const item = await findTrashed(type.Model, req.params.id);
+    if (!item) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Item not found in trash", errors: true } });
+    }
+
+    await item.restore();
+
+    res.status(200).json({
+      meta: { message: "Item restored successfully" },
+      data: { item },
+    });
+  } catch (error) {
+    console.error("Error restoring item:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error restoring item",
+        errors: error.message || error,
+      },
+    });
+  }
+};
+
+/**
+ * @desc Delete a trashed item for good, without waiting for the retention
+ * period to end
+ * @route DELETE /api/trash/:type/:id
+ * @access Private (Admin only)
+ */
+export const purge = async (req, res) => {
+  const type = trashType(req, res);
+  if (!type) return;
+
+  try {
+    const item = await findTrashed(type.Model, req.params.id);
+    if (!item) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Item not found in trash", errors: true } });
+    }
+
+    const blocked = await purgeItem(req.params.type, item);
+    if (blocked) {
+      return res.status(409).json({ meta: { message: blocked, errors: true } });
+    }
+
+    res.status(200).json({
+      meta: { message: "Item deleted permanently" },
+      data: { item: null },
+    });
+  } catch (error) {
+    console.error("Error purging item:", error);
+    res.status(500).json({
+      meta: {
+        message: "Error purging item",
+        errors: error.message || error,
+      },
+    });
+  }
+};
@@ -0,0 +1,16 @@
+import { sendEmail } from "../utils/sendMail.js";
+
+/**
+ * @desc Send an email, retrying while the mail server is unreachable
+ */
+export default {
+  name: "email",
+  attempts: 5,
+  backoff: 30 * 1000,
+  handler: async ({ to, subject, text = "", html = "" }) => {
+    const sent = await sendEmail(to, subject, text, html);
+    if (!sent) {
+      throw new Error(`Email "${subject}" to ${to} could not be sent`);
+    }
+  },
+};
@@ -0,0 +1,12 @@
+import { defineJob } from "../utils/queue.js";
+import emailJob from "./email.job.js";
+import passwordResetJob from "./password-reset.job.js";
+import viewJob from "./view.job.js";
+import trashJob from "./trash.job.js";
+
+const jobs = [emailJob, passwordResetJob, viewJob, trashJob];
+
+/**
+ * @desc Register the handlers of every background job
+ */
+export const registerJobs = () => jobs.forEach(defineJob);
@@ -0,0 +1,35 @@
+import jwt from "jsonwebtoken";
+import User from "../models/user.model.js";
+import { sendEmail } from "../utils/sendMail.js";
+
+/**
+ * @desc Email a user a link to reset their password. The token is signed
+ * here, so the link is never stored in the queue.
+ */
+export default {
+  name: "auth.passwordReset",
+  attempts: 5,
+  backoff: 30 * 1000,
+  handler: async ({ userId }) => {
+    const user = await User.findById(userId).select("email");
+    if (!user) return;
+
+    // Reset token (expires in 15 minutes)
+    const token = jwt.sign({ id: user._id }, process.env.RESET_TOKEN_SECRET, {
+      expiresIn: process.env.RESET_TOKEN_EXPIRE,
+    });
+    const resetLink = `${process.env.CLIENT_URL}/reset-password?token=${token}`;
+
+    const sent = await sendEmail(
+      user.email,
+      "Password Reset Request",
+      "",
+      `<p>Click <a href="${resetLink}">here</a> to reset your password. This link will expire in 15 minutes.</p>`
+    );
+    if (!sent) {
+      throw new Error(
+        `Password reset email to user ${userId} could not be sent`
+      );
+    }
+  },
+};
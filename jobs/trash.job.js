@@ -0,0 +1,26 @@
+import { enqueue } from "../utils/queue.js";
+import { TRASH_TYPES, purgeDate, expireItem } from "../utils/trash.js";
+
+/**
+ * @desc Purge a trashed item once its retention period is over
+ */
+export default {
+  name: "trash.purge",
+  attempts: 5,
+  handler: async ({ type, id }) => {
+    const { Model } = TRASH_TYPES[type];
+    const item = await Model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+    // Restored, or already purged by hand
+    if (!item) return;
+
+    // Trashed again since, or the retention period was made longer
+    const remaining = purgeDate(item).getTime() - Date.now();
+    if (remaining > 0) {
+      await enqueue("trash.purge", { type, id }, { delay: remaining });
+      return;
+    }
+
+    await expireItem(type, item);
+  },
+};
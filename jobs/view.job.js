@@ -0,0 +1,34 @@
+import Post from "../models/post.model.js";
+import PostRead from "../models/post-read.model.js";
+import PostView from "../models/post-view.model.js";
+
+// Views by the same visitor within this window are counted once
+const VIEW_WINDOW_MS =
+  (parseInt(process.env.VIEW_DEDUPE_MINUTES) || 30) * 60 * 1000;
+
+/**
+ * @desc Count a view of a post, once per visitor within the window
+ */
+export default {
+  name: "post.view",
+  attempts: 3,
+  handler: async ({ visitor, postId, viewedAt }) => {
+    const counted = await PostRead.registerView(
+      visitor,
+      postId,
+      VIEW_WINDOW_MS
+    );
+    if (counted) {
+      await Promise.all([
+        // Atomic, so concurrent views are never lost. A view does not
+        // change the post, so its updatedAt date stays as it was.
+        Post.updateOne(
+          { _id: postId },
+          { $inc: { views: 1 } },
+          { timestamps: false }
+        ),
+        PostView.increment(postId, new Date(viewedAt)),
+      ]);
+    }
+  },
+};
@@ -1,5 +1,7 @@
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import User from "../models/user.model.js";
+import Post from "../models/post.model.js";
 
 /**
  * Middleware to authenticate user
@@ -76,3 +78,83 @@ export const protect = async (req, res, next) => {
     next();
   });
 };
+
+/**
+ * Middleware to restrict routes to some roles
+ * @param {...string} roles - The roles allowed through
+ */
+export const authorize =
+  (...roles) =>
+  async (req, res, next) => {
+    await authenticate(req, res, async () => {
+      if (!roles.includes(req.user?.role)) {
+        return res.status(403).json({
+          meta: {
+            message: `Access forbidden: ${roles.join(" or ")} role required`,
+          },
+        });
+      }
+
+      next();
+    });
+  };
+
+/**
+ * Middleware to restrict routes on a post (:id) to admins and its author.
+ * Must run after authenticate; the post is attached as req.post.
+ */
+export const canManagePost = async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const post = mongoose.isValidObjectId(id) ? await Post.findById(id) : null;
+
+    if (!post) {
+      return res
+        .status(404)
+        .json({ meta: { message: "Post not found", errors: true } });
+    }
+
+    if (!post.canBeManagedBy(req.user)) {
+      return res.status(403).json({
+        meta: { message: "Access forbidden: not your post", errors: true },
+      });
+    }
+
+    req.post = post;
+    next();
+  } catch (error) {
+    console.error("Error checking post access:", error);
+    return res.status(500).json({
+      meta: { message: "Internal server error", error: error.message },
+    });
+  }
+};
+
+/**
+ * Middleware to identify the user on public routes.
+ * Attaches req.user when a valid token is sent, but never rejects the request.
+ */
+export const identify = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token =
+    authHeader && authHeader.startsWith("Bearer")
+      ? authHeader.split(" ")[1]
+      : null;
+
+  if (!token || !process.env.ACCESS_TOKEN_SECRET) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+
+    if (decoded.id && typeof decoded.id === "string") {
+      req.user = await User.findById(decoded.id).select("-password");
+    }
+  } catch (error) {
+    req.user = null;
+  }
+
+  next();
+};
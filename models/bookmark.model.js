@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const bookmarkSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    post: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+bookmarkSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  },
+});
+
+/**
+ * @desc Get which of the given posts a user has bookmarked
+ * @param {Array} postIds - IDs of the posts
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Set<string>>} IDs of the bookmarked posts
+ */
+bookmarkSchema.statics.bookmarkedBy = async function (postIds, userId) {
+  const bookmarks = await this.find({ post: { $in: postIds }, user: userId })
+    .select("post")
+    .lean();
+  return new Set(bookmarks.map(({ post }) => post.toString()));
+};
+
+const Bookmark = mongoose.model("Bookmark", bookmarkSchema);
+export default Bookmark;
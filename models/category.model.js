@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
-import slugify from "slugify";
+import { slugHook } from "../utils/slug.js";
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from "../utils/locale.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { seoSchema } from "../utils/seo.js";
 
 const categorySchema = new mongoose.Schema(
   {
@@ -17,11 +20,26 @@ const categorySchema = new mongoose.Schema(
       minlength: 10,
       maxlength: 200,
     },
+    // Name and description in other locales than the default one
+    translations: [
+      {
+        _id: false,
+        locale: { type: String, enum: SUPPORTED_LOCALES, required: true },
+        name: { type: String, required: true, trim: true, maxlength: 50 },
+        description: { type: String, maxlength: 200 },
+      },
+    ],
     slug: { type: String, unique: true },
+    // Former slugs, answered with a pointer to the current one
+    previousSlugs: { type: [String], index: true },
+    // Meta title, canonical URL, social image... overriding the defaults
+    seo: { type: seoSchema, default: () => ({}) },
   },
   { timestamps: true }
 );
 
+categorySchema.plugin(softDeletePlugin);
+
 categorySchema.set("toJSON", {
   transform: (doc, ret) => {
     ret.id = ret._id;
@@ -30,12 +48,28 @@ categorySchema.set("toJSON", {
   },
 });
 
-categorySchema.pre("save", function (next) {
-  if (this.isModified("name")) {
-    this.slug = slugify(this.name, { lower: true, strict: true });
+/**
+ * @desc The category as JSON, with its name and description in a locale
+ * when translated, else in the default locale
+ * @param {string} locale - The locale asked for
+ */
+categorySchema.methods.localize = function (locale) {
+  const category = this.toJSON();
+  const translation = (this.translations || []).find(
+    (item) => item.locale === locale
+  );
+
+  category.locale = translation ? locale : DEFAULT_LOCALE;
+  if (translation) {
+    category.name = translation.name;
+    if (translation.description) {
+      category.description = translation.description;
+    }
   }
-  next();
-});
+  return category;
+};
+
+categorySchema.pre("save", slugHook("name", "category"));
 
 const Category = mongoose.model("Category", categorySchema);
 export default Category;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const commentSchema = new mongoose.Schema(
   {
@@ -15,6 +16,8 @@ const commentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+commentSchema.plugin(softDeletePlugin);
+
 commentSchema.set("toJSON", {
   transform: (doc, ret) => {
     ret.id = ret._id;
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import { CONTENT_FORMATS } from "../utils/content.js";
+
+// Unsaved changes to a post, autosaved by its editor. Stored apart from the
+// post, which stays as it is until the changes are saved for real; the
+// draft is then discarded, as it became the post's latest revision.
+const postDraftSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+      unique: true,
+    },
+    title: { type: String, trim: true, maxlength: 255 },
+    description: { type: String, trim: true, maxlength: 500 },
+    content: { type: String },
+    contentFormat: { type: String, enum: CONTENT_FORMATS },
+    tags: [{ type: String, trim: true, maxlength: 30 }],
+    editor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+postDraftSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  },
+});
+
+const PostDraft = mongoose.model("PostDraft", postDraftSchema);
+export default PostDraft;
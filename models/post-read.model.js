@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+
+const READ_HISTORY_SECONDS =
+  (parseInt(process.env.READ_HISTORY_DAYS) || 180) * 24 * 60 * 60;
+
+// Which visitor read which post, used to de-duplicate views and for
+// co-readership recommendations
+const postReadSchema = new mongoose.Schema({
+  visitor: { type: String, required: true },
+  post: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+  firstViewedAt: { type: Date, default: Date.now },
+  lastViewedAt: { type: Date, default: Date.now },
+  // Last time a view by this visitor was counted
+  lastCountedAt: { type: Date, default: Date.now },
+});
+
+postReadSchema.index({ visitor: 1, post: 1 }, { unique: true });
+postReadSchema.index({ post: 1, firstViewedAt: -1 });
+postReadSchema.index({ visitor: 1, firstViewedAt: 1 });
+// Deleted by MongoDB once the visitor has not read the post for a while
+postReadSchema.index(
+  { lastViewedAt: 1 },
+  { expireAfterSeconds: READ_HISTORY_SECONDS }
+);
+
+/**
+ * @desc Record that a visitor read a post
+ * @param {string} visitor - The visitor key
+ * @param {ObjectId} postId - The post being read
+ * @param {number} windowMs - Views by the same visitor within this window count once
+ * @returns {Promise<boolean>} Whether the view should be counted
+ */
+postReadSchema.statics.registerView = async function (
+  visitor,
+  postId,
+  windowMs
+) {
+  const now = new Date();
+
+  // Only one concurrent request can move lastCountedAt past the window
+  const counted = await this.updateOne(
+    {
+      visitor,
+      post: postId,
+      lastCountedAt: { $not: { $gte: new Date(now.getTime() - windowMs) } },
+    },
+    { $set: { lastViewedAt: now, lastCountedAt: now } }
+  );
+  if (counted.modifiedCount > 0) return true;
+
+  try {
+    await this.create({
+      visitor,
+      post: postId,
+      firstViewedAt: now,
+      lastViewedAt: now,
+      lastCountedAt: now,
+    });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Already counted within the window
+  await this.updateOne(
+    { visitor, post: postId },
+    { $set: { lastViewedAt: now } }
+  );
+  return false;
+};
+
+/**
+ * @desc Posts that readers of a post went on to read afterwards
+ * @param {ObjectId} postId - The post being read
+ * @param {number} readers - How many of its most recent readers to look at
+ * @returns {Promise<Array<{_id: ObjectId, readers: number}>>} Posts with the number of shared readers
+ */
+postReadSchema.statics.readNext = function (postId, readers = 500) {
+  return this.aggregate([
+    { $match: { post: postId } },
+    { $sort: { firstViewedAt: -1 } },
+    { $limit: readers },
+    {
+      $lookup: {
+        from: this.collection.name,
+        let: { visitor: "$visitor", since: "$firstViewedAt" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$visitor", "$$visitor"] },
+                  { $gt: ["$firstViewedAt", "$$since"] },
+                  { $ne: ["$post", postId] },
+                ],
+              },
+            },
+          },
+          { $project: { post: 1 } },
+        ],
+        as: "next",
+      },
+    },
+    { $unwind: "$next" },
+    { $group: { _id: "$next.post", readers: { $sum: 1 } } },
+    { $sort: { readers: -1 } },
+    { $limit: 50 },
+  ]);
+};
+
+const PostRead = mongoose.model("PostRead", postReadSchema);
+export default PostRead;
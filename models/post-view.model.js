@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Counted views of a post per UTC day
+const postViewSchema = new mongoose.Schema({
+  post: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+  day: { type: Date, required: true },
+  views: { type: Number, default: 0 },
+});
+
+postViewSchema.index({ post: 1, day: 1 }, { unique: true });
+
+/**
+ * @desc Start of the UTC day containing a date
+ */
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * @desc Add a view to today's bucket of a post
+ */
+postViewSchema.statics.increment = function (postId, date = new Date()) {
+  return this.updateOne(
+    { post: postId, day: startOfDay(date) },
+    { $inc: { views: 1 } },
+    { upsert: true }
+  );
+};
+
+const PostView = mongoose.model("PostView", postViewSchema);
+export default PostView;
@@ -1,5 +1,16 @@
 import mongoose from "mongoose";
-import slugify from "slugify";
+import { slugHook } from "../utils/slug.js";
+import { normalizeText } from "../utils/search.js";
+import { CONTENT_FORMATS, renderContent } from "../utils/content.js";
+import { REACTION_TYPES } from "./reaction.model.js";
+import Tag from "./tag.model.js";
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from "../utils/locale.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { seoSchema } from "../utils/seo.js";
+import { REVIEW_STATUSES } from "./review-event.model.js";
+
+// Fields copied into the search index, with their relevance weight
+const SEARCH_WEIGHTS = { title: 10, tags: 5, description: 3, content: 1 };
 
 const postSchema = new mongoose.Schema(
   {
@@ -19,6 +30,17 @@ const postSchema = new mongoose.Schema(
       maxlength: 500,
     },
     content: { type: String, required: true, minlength: 50 },
+    contentFormat: { type: String, enum: CONTENT_FORMATS, default: "html" },
+    // Sanitized HTML rendered from content, with its table of contents
+    contentHtml: { type: String, default: null },
+    toc: [
+      {
+        _id: false,
+        level: { type: Number },
+        text: { type: String },
+        id: { type: String },
+      },
+    ],
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
@@ -31,29 +53,449 @@ const postSchema = new mongoose.Schema(
       required: true,
     },
     views: { type: Number, default: 0 },
+    // Reaction totals per type, kept in sync by the reaction endpoint
+    reactionCounts: Object.fromEntries(
+      REACTION_TYPES.map((type) => [type, { type: Number, default: 0 }])
+    ),
     slug: { type: String, unique: true },
+    // Former slugs, answered with a pointer to the current one
+    previousSlugs: { type: [String], index: true },
+    locale: { type: String, enum: SUPPORTED_LOCALES, default: DEFAULT_LOCALE },
+    // Shared by a post and its translations, the ID of the original post
+    translationGroup: { type: mongoose.Schema.Types.ObjectId, index: true },
+    // Posts saved before the status field existed read as published. New
+    // posts get theirs from the create endpoint: authors' start as drafts
+    // and only go live once approved in review.
+    status: {
+      type: String,
+      enum: ["draft", "scheduled", "published"],
+      default: "published",
+    },
+    publishAt: { type: Date, default: null },
+    // Editorial review: pending once submitted by the author, until an
+    // admin approves or rejects it with notes. Its steps are ReviewEvents.
+    review: {
+      status: { type: String, enum: [...REVIEW_STATUSES, null], default: null },
+      submittedAt: { type: Date, default: null },
+      notes: { type: String, default: "" },
+    },
+    // Homepage curation by admins: featured posts are shown by featuredOrder
+    // until their featuredUntil date, if any
+    featured: { type: Boolean, default: false },
+    featuredOrder: { type: Number, default: 0 },
+    featuredUntil: { type: Date, default: null },
+    // Shown first when listing the post's category
+    pinned: { type: Boolean, default: false },
+    // Meta title, canonical URL, social image... overriding the defaults
+    seo: { type: seoSchema, default: () => ({}) },
+    // Where an imported post came from, so importing it again is a no-op
+    importKey: { type: String, index: { unique: true, sparse: true } },
+    // Lowercase, diacritic-free copies of the searchable fields
+    searchIndex: {
+      title: { type: String, select: false },
+      tags: { type: String, select: false },
+      description: { type: String, select: false },
+      content: { type: String, select: false },
+    },
   },
   { timestamps: true }
 );
 
+postSchema.plugin(softDeletePlugin);
+
 postSchema.set("toJSON", {
   transform: (doc, ret) => {
     ret.id = ret._id;
     delete ret._id;
     delete ret.__v;
+    delete ret.searchIndex;
+
+    // Posts saved before rendering existed are rendered on the fly
+    if (ret.contentHtml == null && typeof ret.content === "string") {
+      Object.assign(ret, renderContent(ret.content, ret.contentFormat));
+    }
   },
 });
 
+postSchema.index({ status: 1, publishAt: -1 });
+postSchema.index({ featured: 1, featuredOrder: 1 });
+postSchema.index({ category: 1, pinned: -1 });
+postSchema.index({ "review.status": 1, "review.submittedAt": 1 });
+
+// One version of an article per locale
+postSchema.index(
+  { translationGroup: 1, locale: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { translationGroup: { $exists: true } },
+  }
+);
+
+postSchema.index(
+  Object.fromEntries(
+    Object.keys(SEARCH_WEIGHTS).map((field) => [`searchIndex.${field}`, "text"])
+  ),
+  {
+    name: "post_search",
+    weights: Object.fromEntries(
+      Object.entries(SEARCH_WEIGHTS).map(([field, weight]) => [
+        `searchIndex.${field}`,
+        weight,
+      ])
+    ),
+    // No stemming or stop words: posts are written in Vietnamese and English
+    default_language: "none",
+  }
+);
+
+/**
+ * @desc Query filter matching posts visible to the public.
+ * Scheduled posts become visible once their publishAt date has passed,
+ * so they go live without being re-saved. Posts created before the
+ * status field existed have no status and are treated as published.
+ */
+postSchema.statics.publishedFilter = function (now = new Date()) {
+  return {
+    $or: [
+      { status: { $in: ["published", null] } },
+      { status: "scheduled", publishAt: { $lte: now } },
+    ],
+  };
+};
+
+/**
+ * @desc Query filter matching posts currently featured. A featured post
+ * drops off the homepage by itself once its featuredUntil date has passed.
+ */
+postSchema.statics.featuredFilter = function (now = new Date()) {
+  return {
+    featured: true,
+    $or: [{ featuredUntil: null }, { featuredUntil: { $gt: now } }],
+  };
+};
+
+/**
+ * @desc Query filter matching the posts a user may see: admins see every
+ * post, authors also see their own unpublished posts
+ * @param {Document|null} user - The current user, if any
+ */
+postSchema.statics.visibleTo = function (user) {
+  if (user?.role === "admin") return {};
+  if (user?.role === "author") {
+    return { $or: [this.publishedFilter(), { author: user._id }] };
+  }
+  return this.publishedFilter();
+};
+
+/**
+ * @desc Aggregation stages keeping one version of each article among the
+ * posts matched so far: the translation in the requested locale, else the
+ * one in the default locale, else the oldest version
+ * @param {string} locale - The locale asked for
+ */
+const oneVersionStages = (locale) => {
+  const preferred = [...new Set([locale, DEFAULT_LOCALE])];
+  return [
+    {
+      $addFields: {
+        localeRank: {
+          $let: {
+            vars: { rank: { $indexOfArray: [preferred, "$locale"] } },
+            in: {
+              $cond: [{ $eq: ["$$rank", -1] }, preferred.length, "$$rank"],
+            },
+          },
+        },
+      },
+    },
+    { $sort: { localeRank: 1, createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        // Posts saved before translations existed are groups of their own
+        _id: { $ifNull: ["$translationGroup", "$_id"] },
+        post: { $first: "$$ROOT" },
+      },
+    },
+    { $replaceRoot: { newRoot: "$post" } },
+    { $unset: "localeRank" },
+  ];
+};
+
+/**
+ * @desc Find one version of each article, in the requested locale when
+ * translated. The filter is applied to every version before one is picked,
+ * so a translation matching a search is found even when the version in the
+ * requested locale does not match it.
+ * @param {string} locale - The locale asked for
+ * @param {Object} filter - Filter of the versions to choose from
+ * @param {Object} options
+ * @param {Object} options.sort - Order of the results, by text score too
+ * @param {Object} options.after - Filter of the chosen versions, such as a cursor
+ * @param {number} options.skip - Number of results to skip
+ * @param {number} [options.limit] - Maximum number of results
+ * @param {boolean} options.score - Add the text search score of each result
+ * @returns {Promise<Document[]>} The posts, not populated
+ */
+postSchema.statics.findInLocale = async function (
+  locale,
+  filter,
+  { sort = {}, after = {}, skip = 0, limit, score = false }
+) {
+  const query = this.find();
+  // Text scores are lost once grouped, so they are sorted on as a field
+  const order = Object.fromEntries(
+    Object.entries(sort).map(([field, value]) => [
+      field,
+      value?.$meta ? -1 : value,
+    ])
+  );
+
+  const posts = await this.aggregate([
+    { $match: query.cast(this, filter) },
+    ...(score ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    ...oneVersionStages(locale),
+    { $match: query.cast(this, after) },
+    { $sort: { ...order, _id: order._id || 1 } },
+    { $skip: skip },
+    ...(limit ? [{ $limit: limit }] : []),
+  ]).allowDiskUse(true);
+
+  return posts.map((post) => this.hydrate(post));
+};
+
+/**
+ * @desc Count the articles having a version matching a filter
+ * @param {Object} filter - Filter of the versions
+ */
+postSchema.statics.countInLocale = async function (filter) {
+  const [result] = await this.aggregate([
+    { $match: this.find().cast(this, filter) },
+    { $group: { _id: { $ifNull: ["$translationGroup", "$_id"] } } },
+    { $count: "total" },
+  ]);
+  return result?.total || 0;
+};
+
+/**
+ * @desc The other versions of each post that a user may see
+ * @param {Document[]} posts - The posts to look up
+ * @param {Document|null} user - The current user, if any
+ * @returns {Promise<Map<string, Object[]>>} Translations by post ID
+ */
+postSchema.statics.translationsOf = async function (posts, user) {
+  const versions = await this.find({
+    ...this.visibleTo(user),
+    translationGroup: { $in: posts.map((post) => post.translationGroup) },
+  })
+    .select("translationGroup locale slug title")
+    .sort({ locale: 1 })
+    .lean();
+
+  return new Map(
+    posts.map((post) => [
+      post.id,
+      versions
+        .filter(
+          (version) =>
+            version.translationGroup.equals(post.translationGroup) &&
+            !version._id.equals(post._id)
+        )
+        .map(({ _id, locale, slug, title }) => ({
+          id: _id,
+          locale,
+          slug,
+          title,
+        })),
+    ])
+  );
+};
+
+/**
+ * @desc Whether a user may edit or delete the post: admins manage every
+ * post, authors only their own
+ */
+postSchema.methods.canBeManagedBy = function (user) {
+  if (user?.role === "admin") return true;
+  const authorId = this.author?._id || this.author;
+  return user?.role === "author" && !!authorId && authorId.equals(user._id);
+};
+
+postSchema.methods.isPublished = function (now = new Date()) {
+  if (!this.status || this.status === "published") return true;
+  return (
+    this.status === "scheduled" && !!this.publishAt && this.publishAt <= now
+  );
+};
+
+postSchema.pre("save", slugHook("title", "post"));
+
+// A post that is not a translation starts its own group
 postSchema.pre("save", function (next) {
-  if (this.isModified("title")) {
-    this.slug = slugify(this.title, { lower: true, strict: true });
+  if (!this.translationGroup) {
+    this.translationGroup = this._id;
   }
   next();
 });
 
-postSchema.methods.incrementViews = async function () {
-  this.views += 1;
-  await this.save();
+// Free-text tags are mapped to their canonical tag, created when new
+postSchema.pre("save", async function () {
+  if (this.isModified("tags")) {
+    this.tags = await Tag.resolve(this.tags);
+  }
+});
+
+postSchema.pre("save", function (next) {
+  if (this.status === "published" && !this.publishAt) {
+    this.publishAt = new Date();
+  }
+  Object.keys(SEARCH_WEIGHTS).forEach((field) => {
+    if (this.isModified(field)) {
+      this.set(`searchIndex.${field}`, normalizeText(this[field]));
+    }
+  });
+  if (this.isModified("content") || this.isModified("contentFormat")) {
+    const { contentHtml, toc } = renderContent(
+      this.content,
+      this.contentFormat
+    );
+    this.contentHtml = contentHtml;
+    this.toc = toc;
+  }
+  next();
+});
+
+// Keep the search index in sync for updates that bypass save()
+postSchema.pre(
+  ["findOneAndUpdate", "updateOne", "updateMany"],
+  function (next) {
+    const update = this.getUpdate() || {};
+    const changes = { ...update, ...update.$set };
+
+    Object.keys(SEARCH_WEIGHTS).forEach((field) => {
+      if (changes[field] !== undefined) {
+        this.set(`searchIndex.${field}`, normalizeText(changes[field]));
+      }
+    });
+    next();
+  }
+);
+
+// Re-render content for updates that bypass save()
+postSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...update.$set };
+
+  if (changes.content === undefined && changes.contentFormat === undefined) {
+    return;
+  }
+
+  // Fill in whichever of content and format the update leaves unchanged
+  let { content, contentFormat } = changes;
+  if (content === undefined || contentFormat === undefined) {
+    const current = await this.model
+      .findOne(this.getQuery())
+      .select("content contentFormat");
+    if (!current) return;
+    content = content ?? current.content;
+    contentFormat = contentFormat ?? current.contentFormat;
+  }
+
+  const { contentHtml, toc } = renderContent(content, contentFormat);
+  this.set("contentHtml", contentHtml);
+  this.set("toc", toc);
+});
+
+/**
+ * @desc Replace a tag name with another on every post carrying it,
+ * keeping tags unique and the search index in sync
+ * @param {string} from - The tag name to replace
+ * @param {string} to - The new tag name
+ * @returns {Promise<number>} Number of posts updated
+ */
+postSchema.statics.replaceTag = async function (from, to) {
+  const posts = await this.find({ tags: from })
+    .setOptions({ withDeleted: true })
+    .select("tags")
+    .lean();
+  if (posts.length === 0) return 0;
+
+  await this.bulkWrite(
+    posts.map(({ _id, tags }) => {
+      const replaced = [
+        ...new Set(tags.map((tag) => (tag === from ? to : tag))),
+      ];
+      return {
+        updateOne: {
+          filter: { _id },
+          update: {
+            $set: {
+              tags: replaced,
+              "searchIndex.tags": normalizeText(replaced),
+            },
+          },
+        },
+      };
+    })
+  );
+
+  return posts.length;
+};
+
+/**
+ * @desc Create tags for the free-text tags of posts saved before tags were
+ * managed, and map every post to the canonical tag names
+ */
+postSchema.statics.normalizeTags = async function () {
+  const names = await this.distinct("tags").setOptions({ withDeleted: true });
+  let updated = 0;
+
+  for (const name of names) {
+    const [canonical] = await Tag.resolve([name]);
+    if (canonical && canonical !== name) {
+      updated += await this.replaceTag(name, canonical);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * @desc Give posts saved before translations existed the default locale
+ * and a translation group of their own
+ */
+postSchema.statics.backfillTranslations = async function () {
+  await this.collection.updateMany(
+    { locale: { $exists: false } },
+    { $set: { locale: DEFAULT_LOCALE } }
+  );
+  const { modifiedCount } = await this.collection.updateMany(
+    { translationGroup: { $exists: false } },
+    [{ $set: { translationGroup: "$_id" } }]
+  );
+  return modifiedCount;
+};
+
+/**
+ * @desc Fill the search index of posts saved before it existed
+ */
+postSchema.statics.backfillSearchIndex = async function () {
+  const posts = await this.find({ "searchIndex.title": { $exists: false } })
+    .setOptions({ withDeleted: true })
+    .select(Object.keys(SEARCH_WEIGHTS).join(" "))
+    .lean();
+
+  for (const post of posts) {
+    const searchIndex = {};
+    Object.keys(SEARCH_WEIGHTS).forEach((field) => {
+      searchIndex[field] = normalizeText(post[field]);
+    });
+    await this.collection.updateOne(
+      { _id: post._id },
+      { $set: { searchIndex } }
+    );
+  }
+
+  return posts.length;
 };
 
 const Post = mongoose.model("Post", postSchema);
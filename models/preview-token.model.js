@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// A shareable link to read one unpublished post. The link carries a signed
+// token whose ID is this document, so it stops working once revoked.
+const previewTokenSchema = new mongoose.Schema(
+  {
+    post: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    note: { type: String, trim: true, maxlength: 200, default: "" },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+previewTokenSchema.index({ post: 1, createdAt: -1 });
+// Deleted by MongoDB once expired
+previewTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+previewTokenSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  },
+});
+
+/**
+ * @desc Whether the link still opens the post
+ */
+previewTokenSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+const PreviewToken = mongoose.model("PreviewToken", previewTokenSchema);
+export default PreviewToken;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+export const REACTION_TYPES = [
+  "like",
+  "love",
+  "insightful",
+  "celebrate",
+  "funny",
+];
+
+const reactionSchema = new mongoose.Schema(
+  {
+    post: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: REACTION_TYPES, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// One reaction per user per type on a post
+reactionSchema.index({ post: 1, user: 1, type: 1 }, { unique: true });
+
+reactionSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  },
+});
+
+/**
+ * @desc Get the reactions a user left on a list of posts
+ * @param {Array} postIds - IDs of the posts
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Map<string, string[]>>} Reaction types keyed by post ID
+ */
+reactionSchema.statics.forUser = async function (postIds, userId) {
+  const reactions = await this.find({ post: { $in: postIds }, user: userId })
+    .select("post type")
+    .lean();
+
+  const byPost = new Map();
+  reactions.forEach(({ post, type }) => {
+    const key = post.toString();
+    byPost.set(key, [...(byPost.get(key) || []), type]);
+  });
+  return byPost;
+};
+
+const Reaction = mongoose.model("Reaction", reactionSchema);
+export default Reaction;
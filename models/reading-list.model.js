@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+
+// Keeps list documents small; bookmarks are the unbounded collection
+export const MAX_LIST_POSTS = 500;
+
+const readingListSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 1,
+      maxlength: 100,
+    },
+    description: { type: String, trim: true, maxlength: 500, default: "" },
+    position: { type: Number, default: 0 },
+    isPublic: { type: Boolean, default: false },
+    shareToken: { type: String, default: null },
+    posts: [
+      {
+        _id: false,
+        post: { type: mongoose.Schema.Types.ObjectId, ref: "Post" },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+readingListSchema.index({ user: 1, position: 1 });
+readingListSchema.index(
+  { shareToken: 1 },
+  { unique: true, partialFilterExpression: { shareToken: { $type: "string" } } }
+);
+
+readingListSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  },
+});
+
+/**
+ * @desc Make the list public, creating its share token on first use.
+ * The token stays the same when a list is made private and public again.
+ */
+readingListSchema.methods.share = function () {
+  this.isPublic = true;
+  if (!this.shareToken) {
+    this.shareToken = uuidv4();
+  }
+};
+
+readingListSchema.methods.hasPost = function (postId) {
+  return this.posts.some(({ post }) => post.equals(postId));
+};
+
+const ReadingList = mongoose.model("ReadingList", readingListSchema);
+export default ReadingList;
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// Where a post stands in editorial review
+export const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+// What can happen to it: the steps of its review, a change of status made
+// directly rather than through review, and the review being reset when
+// such a change or an edit makes it moot
+export const REVIEW_ACTIONS = [
+  "submitted",
+  "approved",
+  "rejected",
+  "status",
+  "reset",
+];
+
+const POST_STATUSES = ["draft", "scheduled", "published"];
+
+// One change to a post's status or review, kept as its history
+const reviewEventSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+      index: true,
+    },
+    action: { type: String, enum: REVIEW_ACTIONS, required: true },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    notes: { type: String, default: "" },
+    // Publishing state of the post before and after the change, the
+    // former null when the post was created
+    from: { type: String, enum: [...POST_STATUSES, null], default: null },
+    status: { type: String, enum: POST_STATUSES },
+    publishAt: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+reviewEventSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  },
+});
+
+/**
+ * @desc Record a change to a post, in the state it left the post in
+ * @param {Document} post - The post, once saved
+ * @param {string} action - One of REVIEW_ACTIONS
+ * @param {ObjectId} actor - The user who made the change
+ * @param {Object} options
+ * @param {string} options.notes - Comments of the submitter or reviewer
+ * @param {string|null} options.from - The post's status before the change
+ */
+reviewEventSchema.statics.record = function (
+  post,
+  action,
+  actor,
+  { notes = "", from = post.status } = {}
+) {
+  return this.create({
+    post: post._id,
+    action,
+    actor,
+    notes,
+    from,
+    status: post.status,
+    publishAt: post.publishAt,
+  });
+};
+
+const ReviewEvent = mongoose.model("ReviewEvent", reviewEventSchema);
+export default ReviewEvent;
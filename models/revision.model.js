@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import { CONTENT_FORMATS } from "../utils/content.js";
+
+export const REVISION_FIELDS = [
+  "title",
+  "description",
+  "content",
+  "contentFormat",
+  "tags",
+];
+
+// Times a snapshot is retried when a concurrent save took its version
+const RECORD_ATTEMPTS = 5;
+
+const revisionSchema = new mongoose.Schema(
+  {
+    post: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+    version: { type: Number, required: true },
+    title: { type: String, required: true },
+    description: { type: String, required: true },
+    content: { type: String, required: true },
+    // Missing from revisions taken before the format was snapshotted
+    contentFormat: { type: String, enum: CONTENT_FORMATS },
+    tags: [{ type: String }],
+    editor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    restoredFrom: { type: Number, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+revisionSchema.index({ post: 1, version: -1 }, { unique: true });
+
+revisionSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  },
+});
+
+/**
+ * @desc Store a snapshot of the post's current state as its next revision
+ * @param {Document} post - The post to snapshot
+ * @param {string} editor - ID of the user who made the change
+ * @param {number|null} restoredFrom - Version this revision was restored from
+ */
+revisionSchema.statics.record = async function (
+  post,
+  editor,
+  restoredFrom = null
+) {
+  const snapshot = {};
+  REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = post[field];
+  });
+
+  // Two saves of the same post may both pick the next version; the loser
+  // of the unique index takes the one after
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ post: post._id })
+      .sort({ version: -1 })
+      .select("version");
+
+    try {
+      return await this.create({
+        ...snapshot,
+        post: post._id,
+        version: latest ? latest.version + 1 : 1,
+        editor,
+        restoredFrom,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * @desc Make sure a post has at least one revision, so that its state
+ * before the first tracked update can still be restored
+ */
+revisionSchema.statics.ensureBaseline = async function (post) {
+  const exists = await this.exists({ post: post._id });
+  if (!exists) {
+    await this.record(post, post.author);
+  }
+};
+
+const Revision = mongoose.model("Revision", revisionSchema);
+export default Revision;
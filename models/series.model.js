@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import { slugHook } from "../utils/slug.js";
+
+const seriesSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 3,
+      maxlength: 255,
+    },
+    description: { type: String, trim: true, maxlength: 1000, default: "" },
+    // Parts of the series, in reading order
+    posts: [{ type: mongoose.Schema.Types.ObjectId, ref: "Post" }],
+    slug: { type: String, unique: true },
+    // Former slugs, answered with a pointer to the current one
+    previousSlugs: { type: [String], index: true },
+  },
+  { timestamps: true }
+);
+
+seriesSchema.index({ posts: 1 });
+
+seriesSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  },
+});
+
+seriesSchema.pre("save", slugHook("title", "series"));
+
+/**
+ * @desc Where a post sits in its series, with the previous and next parts
+ * @param {Document} post - The post being read
+ * @param {boolean} includeUnpublished - Whether unpublished parts count
+ * @returns {Promise<Object|null>} The series context, or null when the post is not part of a series
+ */
+seriesSchema.statics.contextFor = async function (
+  post,
+  includeUnpublished = false
+) {
+  const series = await this.findOne({ posts: post._id }).populate(
+    "posts",
+    "title slug status publishAt"
+  );
+  if (!series) return null;
+
+  const parts = series.posts.filter(
+    (part) => part && (includeUnpublished || part.isPublished())
+  );
+  const index = parts.findIndex((part) => part._id.equals(post._id));
+  if (index === -1) return null;
+
+  const summary = (part) =>
+    part ? { title: part.title, slug: part.slug } : null;
+
+  return {
+    id: series._id,
+    title: series.title,
+    slug: series.slug,
+    position: index + 1,
+    totalParts: parts.length,
+    previous: summary(parts[index - 1]),
+    next: summary(parts[index + 1]),
+  };
+};
+
+const Series = mongoose.model("Series", seriesSchema);
+export default Series;
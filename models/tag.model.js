@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import { toSlug } from "../utils/slug.js";
+
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 30,
+    },
+    // Normalized form of the name: "NodeJS", "nodejs" and "node.js" are all "nodejs"
+    slug: { type: String, required: true, unique: true },
+    description: { type: String, trim: true, maxlength: 500, default: "" },
+    // Slugs of former names and of tags merged into this one
+    aliases: { type: [String], index: true },
+  },
+  { timestamps: true }
+);
+
+tagSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+  },
+});
+
+/**
+ * @desc Find the tag a name stands for, by slug or alias
+ */
+tagSchema.statics.findByName = function (name) {
+  const slug = toSlug(name);
+  return this.findOne({ $or: [{ slug }, { aliases: slug }] });
+};
+
+/**
+ * @desc Map free-text tag names to the names of their canonical tags
+ * @param {string[]} names - Tag names as typed by an editor
+ * @param {boolean} create - Whether to create tags that do not exist yet
+ * @returns {Promise<string[]>} Canonical names, without duplicates
+ */
+tagSchema.statics.resolve = async function (names = [], create = true) {
+  const resolved = [];
+
+  for (const raw of names) {
+    const name = (raw || "").trim();
+    const slug = toSlug(name);
+    if (!slug) continue;
+
+    let tag = await this.findOne({ $or: [{ slug }, { aliases: slug }] });
+    if (!tag && create) {
+      try {
+        tag = await this.create({ name, slug });
+      } catch (error) {
+        // Created by a concurrent request
+        if (error.code !== 11000) throw error;
+        tag = await this.findOne({ slug });
+      }
+    }
+
+    const canonical = tag ? tag.name : name;
+    if (!resolved.includes(canonical)) {
+      resolved.push(canonical);
+    }
+  }
+
+  return resolved;
+};
+
+const Tag = mongoose.model("Tag", tagSchema);
+export default Tag;
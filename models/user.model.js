@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -26,7 +27,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ["user", "author", "admin"],
       default: "user",
     },
     status: {
@@ -38,6 +39,8 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+userSchema.plugin(softDeletePlugin);
+
 userSchema.set("toJSON", {
   transform: (doc, ret) => {
     ret.id = ret._id;
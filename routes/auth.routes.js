@@ -7,6 +7,7 @@ import {
   logout,
   list,
   updateStatus,
+  updateRole,
   update,
   remove,
   forgotPassword,
@@ -269,6 +270,45 @@ router.get("/users", protect, list);
  */
 router.patch("/users/:id/status", authenticate, updateStatus);
 
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   patch:
+ *     summary: Update user role
+ *     description: Authors can create posts and manage their own posts; admins manage everything
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, author, admin]
+ *                 example: "author"
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Invalid role
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Error updating user role
+ */
+router.patch("/users/:id/role", protect, updateRole);
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -332,7 +372,7 @@ router.put("/users/:id", authenticate, update);
  *         description: User ID
  *     responses:
  *       200:
- *         description: User deleted successfully
+ *         description: User moved to the trash (restorable by admins until purged)
  *       404:
  *         description: User not found
  *       500:
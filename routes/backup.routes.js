@@ -0,0 +1,77 @@
+import express from "express";
+import { download, restore } from "../controllers/backup.controller.js";
+import { protect } from "../middleware/protect.js";
+import { backupUpload } from "../utils/upload.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Backup
+ *   description: API for exporting the blog content and restoring it
+ */
+
+/**
+ * @swagger
+ * /api/backup:
+ *   get:
+ *     summary: Download a backup of the blog
+ *     description: A zip archive with each post as a Markdown file with YAML front matter (posts/), the uploaded files (media/) and a manifest.json holding the categories, the comments, the users they refer to and what ties the posts to them. Trashed items are left out. The Markdown files can also be imported with POST /api/posts/import.
+ *     tags: [Backup]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The backup archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       500:
+ *         description: Error creating backup
+ * @route GET /api/backup
+ * @desc Download a backup of the blog
+ * @access private (Admin only)
+ */
+router.get("/backup", protect, download);
+
+/**
+ * @swagger
+ * /api/backup/restore:
+ *   post:
+ *     summary: Restore a backup
+ *     description: |
+ *       Items are matched by ID: the ones that exist are overwritten with their state in the backup, even when trashed, and the missing ones are created. Nothing else is removed.
+ *       Users are not part of backups and are matched by email. Posts by users missing here are given to the admin restoring the backup; comments by missing users are skipped. Links to uploaded files are rewritten to this server's APP_URL.
+ *     tags: [Backup]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A backup archive from GET /api/backup (200MB max)
+ *     responses:
+ *       200:
+ *         description: Backup restored, with counts and failures per kind of item
+ *       400:
+ *         description: Missing or unreadable backup file
+ *       500:
+ *         description: Error restoring backup
+ * @route POST /api/backup/restore
+ * @desc Restore a backup
+ * @access private (Admin only)
+ */
+router.post("/backup/restore", protect, backupUpload, restore);
+
+export default router;
@@ -0,0 +1,109 @@
+import express from "express";
+import { list, create, remove } from "../controllers/bookmark.controller.js";
+import { authenticate } from "../middleware/protect.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bookmarks
+ *   description: API for saving posts to read later
+ */
+
+/**
+ * @swagger
+ * /api/bookmarks:
+ *   get:
+ *     summary: Get the current user's bookmarks
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           example: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Bookmarks retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Error fetching bookmarks
+ * @route GET /api/bookmarks
+ * @desc Get the current user's bookmarks
+ * @access private
+ */
+router.get("/bookmarks", authenticate, list);
+
+/**
+ * @swagger
+ * /api/bookmarks:
+ *   post:
+ *     summary: Bookmark a post
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               post:
+ *                 type: string
+ *                 example: "63f5b2a55c1b2b001e3d9c10"
+ *     responses:
+ *       201:
+ *         description: Post bookmarked successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Error creating bookmark
+ * @route POST /api/bookmarks
+ * @desc Bookmark a post
+ * @access private
+ */
+router.post("/bookmarks", authenticate, create);
+
+/**
+ * @swagger
+ * /api/bookmarks/{post}:
+ *   delete:
+ *     summary: Remove a bookmark
+ *     tags: [Bookmarks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: post
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the bookmarked post
+ *     responses:
+ *       200:
+ *         description: Bookmark removed successfully
+ *       404:
+ *         description: Bookmark not found
+ *       500:
+ *         description: Error removing bookmark
+ * @route DELETE /api/bookmarks/:post
+ * @desc Remove a bookmark
+ * @access private
+ */
+router.delete("/bookmarks/:post", authenticate, remove);
+
+export default router;
@@ -35,14 +35,37 @@ const router = express.Router();
  *               name:
  *                 type: string
  *                 example: Electronics
+ *               slug:
+ *                 type: string
+ *                 example: electronics
+ *                 description: Optional custom slug, defaults to the name
  *               description:
  *                 type: string
  *                 example: Category for electronic products
+ *               translations:
+ *                 type: array
+ *                 description: Name and description in other locales. The main name and description are in the default locale
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     locale:
+ *                       type: string
+ *                       example: en
+ *                     name:
+ *                       type: string
+ *                       example: Electronics
+ *                     description:
+ *                       type: string
+ *                       example: Category for electronic products
+ *               seo:
+ *                 $ref: '#/components/schemas/SeoMetadata'
  *     responses:
  *       201:
  *         description: Category created successfully
  *       400:
  *         description: Validation error
+ *       409:
+ *         description: Name or slug already in use
  *       500:
  *         description: Internal server error
  * @route POST /api/categories
@@ -59,6 +82,13 @@ router.post("/categories", protect, create);
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           example: en
+ *         description: Locale to name categories in, defaults to the Accept-Language header, then to the default locale
  *     responses:
  *       200:
  *         description: Categories retrieved successfully
@@ -83,9 +113,17 @@ router.get("/categories", list);
  *           type: string
  *         required: true
  *         description: The category ID or slug
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           example: en
+ *         description: Locale to name the category in, defaults to the Accept-Language header, then to the default locale
  *     responses:
  *       200:
- *         description: Category retrieved successfully
+ *         description: Category retrieved successfully, with the metadata of its page (seo) where empty fields are derived from the category
+ *       301:
+ *         description: The identifier is an old slug of the category; the response and Location header point to the current one
  *       404:
  *         description: Category not found
  *       500:
@@ -121,14 +159,34 @@ router.get("/categories/:identifier", show);
  *               name:
  *                 type: string
  *                 example: Updated Electronics
+ *               slug:
+ *                 type: string
+ *                 example: updated-electronics
+ *                 description: Optional custom slug. The previous slug keeps redirecting to the category
  *               description:
  *                 type: string
  *                 example: Updated description for electronics
+ *               translations:
+ *                 type: array
+ *                 description: Replaces every translation of the category when sent
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     locale:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *               seo:
+ *                 $ref: '#/components/schemas/SeoMetadata'
  *     responses:
  *       200:
  *         description: Category updated successfully
  *       400:
  *         description: Validation error
+ *       409:
+ *         description: Name or slug already in use
  *       404:
  *         description: Category not found
  *       500:
@@ -154,14 +212,21 @@ router.put("/categories/:id", protect, update);
  *           type: string
  *         required: true
  *         description: The category ID
+ *       - in: query
+ *         name: moveTo
+ *         schema:
+ *           type: string
+ *         description: ID of the category to move the category's posts to, required when it has any
  *     responses:
  *       200:
- *         description: Category deleted successfully
+ *         description: Category moved to the trash (restorable by admins until purged)
  *       404:
- *         description: Category not found
+ *         description: Category, or category to move posts to, not found
+ *       409:
+ *         description: The category has posts and no moveTo category was given
  *       500:
  *         description: Internal server error
- * @route DELETE /api/category/:id
+ * @route DELETE /api/category/:id?moveTo=
  * @desc Delete a specific category by ID
  * @access private (Admin only)
  */
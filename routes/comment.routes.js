@@ -63,11 +63,30 @@ router.post("/comments", authenticate, create);
  *           type: string
  *         required: true
  *         description: Post ID to fetch comments for
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. Send it empty to get the first page in cursor mode; page is ignored in this mode
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           example: 5
+ *         description: Number of top-level comments per page
  *     responses:
  *       200:
  *         description: Comments retrieved successfully
  *       400:
  *         description: Post ID is required
+ *       404:
+ *         description: Post not found, or in the trash
  *       500:
  *         description: Error fetching comments
  */
@@ -90,7 +109,7 @@ router.get("/comments", list);
  *         description: Comment ID
  *     responses:
  *       200:
- *         description: Comment deleted successfully
+ *         description: Comment moved to the trash (restorable by admins until purged)
  *       403:
  *         description: Unauthorized (not the owner)
  *       404:
@@ -0,0 +1,145 @@
+import express from "express";
+import {
+  siteFeed,
+  categoryFeed,
+  tagFeed,
+} from "../controllers/feed.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Feeds
+ *   description: RSS 2.0, Atom and JSON Feed outputs of the latest published posts
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     FeedFormat:
+ *       in: path
+ *       name: format
+ *       required: true
+ *       schema:
+ *         type: string
+ *         enum: [rss, atom, json]
+ *       description: Feed format
+ *     FeedLocale:
+ *       in: query
+ *       name: locale
+ *       schema:
+ *         type: string
+ *         example: en
+ *       description: Locale of the posts, else taken from the Accept-Language header
+ *     IfNoneMatch:
+ *       in: header
+ *       name: If-None-Match
+ *       schema:
+ *         type: string
+ *       description: ETag of the copy the reader has, answered 304 when unchanged
+ *     IfModifiedSince:
+ *       in: header
+ *       name: If-Modified-Since
+ *       schema:
+ *         type: string
+ *       description: Last-Modified date of the copy the reader has, answered 304 when unchanged
+ */
+
+/**
+ * @swagger
+ * /api/feed/{format}:
+ *   get:
+ *     summary: Feed of the whole site
+ *     description: The 20 latest published posts, each with its author, category, thumbnail and excerpt. One version of each article is given, in the requested locale when translated.
+ *     tags: [Feeds]
+ *     parameters:
+ *       - $ref: '#/components/parameters/FeedFormat'
+ *       - $ref: '#/components/parameters/FeedLocale'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: The feed, with ETag and Last-Modified headers
+ *       304:
+ *         description: The feed has not changed
+ *       404:
+ *         description: Unknown feed format
+ *       500:
+ *         description: Error building feed
+ * @route GET /api/feed/:format
+ * @desc Feed of the whole site
+ * @access public
+ */
+router.get("/feed/:format", siteFeed);
+
+/**
+ * @swagger
+ * /api/categories/{slug}/feed/{format}:
+ *   get:
+ *     summary: Feed of a category
+ *     tags: [Feeds]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category slug
+ *       - $ref: '#/components/parameters/FeedFormat'
+ *       - $ref: '#/components/parameters/FeedLocale'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: The feed, with ETag and Last-Modified headers
+ *       301:
+ *         description: The category has a new slug; the Location header holds the feed URL
+ *       304:
+ *         description: The feed has not changed
+ *       404:
+ *         description: Unknown feed format or category not found
+ *       500:
+ *         description: Error building feed
+ * @route GET /api/categories/:slug/feed/:format
+ * @desc Feed of a category
+ * @access public
+ */
+router.get("/categories/:slug/feed/:format", categoryFeed);
+
+/**
+ * @swagger
+ * /api/tags/{slug}/feed/{format}:
+ *   get:
+ *     summary: Feed of a tag
+ *     tags: [Feeds]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag slug
+ *       - $ref: '#/components/parameters/FeedFormat'
+ *       - $ref: '#/components/parameters/FeedLocale'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IfModifiedSince'
+ *     responses:
+ *       200:
+ *         description: The feed, with ETag and Last-Modified headers
+ *       301:
+ *         description: The tag was renamed or merged; the Location header holds the feed URL
+ *       304:
+ *         description: The feed has not changed
+ *       404:
+ *         description: Unknown feed format or tag not found
+ *       500:
+ *         description: Error building feed
+ * @route GET /api/tags/:slug/feed/:format
+ * @desc Feed of a tag
+ * @access public
+ */
+router.get("/tags/:slug/feed/:format", tagFeed);
+
+export default router;
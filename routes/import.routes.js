@@ -0,0 +1,45 @@
+import express from "express";
+import { importPosts } from "../controllers/import.controller.js";
+import { protect } from "../middleware/protect.js";
+import { importUpload } from "../utils/upload.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/posts/import:
+ *   post:
+ *     summary: Import posts from WordPress or Markdown files
+ *     description: |
+ *       Accepts a WordPress export (WXR, .xml) or a zip archive of Markdown files with YAML front matter (title, description, tags, category, date, thumbnail, slug, locale, draft). Posts keep their original dates, missing categories are created, and posts without a category go to "Uncategorized". The importing admin becomes the author.
+ *       Each post remembers where it came from (the WordPress guid or the path in the archive), so importing the same file again skips the posts already imported. The report tells, for each post, whether it was created, skipped or failed and why.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .xml WordPress export or a .zip of .md files (20MB max)
+ *     responses:
+ *       200:
+ *         description: Import completed, with a report of each post
+ *       400:
+ *         description: Missing, unsupported or unreadable file
+ *       500:
+ *         description: Error importing posts
+ * @route POST /api/posts/import
+ * @desc Import posts from WordPress or Markdown files
+ * @access private (Admin only)
+ */
+router.post("/posts/import", protect, importUpload, importPosts);
+
+export default router;
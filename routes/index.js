@@ -3,5 +3,39 @@ import postRoutes from "./post.routes.js";
 import categoryRoutes from "./category.routes.js";
 import commentRoutes from "./comment.routes.js";
 import uploadRoutes from "./upload.routes.js";
+import revisionRoutes from "./revision.routes.js";
+import reactionRoutes from "./reaction.routes.js";
+import bookmarkRoutes from "./bookmark.routes.js";
+import readingListRoutes from "./reading-list.routes.js";
+import seriesRoutes from "./series.routes.js";
+import tagRoutes from "./tag.routes.js";
+import jobRoutes from "./job.routes.js";
+import trashRoutes from "./trash.routes.js";
+import importRoutes from "./import.routes.js";
+import backupRoutes from "./backup.routes.js";
+import feedRoutes from "./feed.routes.js";
+import sitemapRoutes from "./sitemap.routes.js";
+import previewRoutes from "./preview.routes.js";
+import reviewRoutes from "./review.routes.js";
 
-export { authRoutes, postRoutes, categoryRoutes, commentRoutes, uploadRoutes };
+export {
+  authRoutes,
+  postRoutes,
+  categoryRoutes,
+  commentRoutes,
+  uploadRoutes,
+  revisionRoutes,
+  reactionRoutes,
+  bookmarkRoutes,
+  readingListRoutes,
+  seriesRoutes,
+  tagRoutes,
+  jobRoutes,
+  trashRoutes,
+  importRoutes,
+  backupRoutes,
+  feedRoutes,
+  sitemapRoutes,
+  previewRoutes,
+  reviewRoutes,
+};
@@ -0,0 +1,130 @@
+import express from "express";
+import {
+  stats,
+  listFailed,
+  retry,
+  discard,
+} from "../controllers/job.controller.js";
+import { protect } from "../middleware/protect.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: API for inspecting background jobs (emails, view counting...)
+ */
+
+/**
+ * @swagger
+ * /api/jobs/stats:
+ *   get:
+ *     summary: Get the number of jobs in each state
+ *     description: Waiting jobs are due now, delayed jobs are scheduled later (including retries after a backoff), failed jobs are in the dead-letter list
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Job stats retrieved successfully
+ *       500:
+ *         description: Error retrieving job stats
+ * @route GET /api/jobs/stats
+ * @desc Get the number of jobs in each state
+ * @access private (Admin only)
+ */
+router.get("/jobs/stats", protect, stats);
+
+/**
+ * @swagger
+ * /api/jobs/failed:
+ *   get:
+ *     summary: Get the jobs that used up their attempts
+ *     description: Each job carries its name, data, number of attempts and the error of its last attempt. Most recent failures come first.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *           example: 20
+ *         description: Number of jobs per page
+ *     responses:
+ *       200:
+ *         description: Failed jobs retrieved successfully
+ *       500:
+ *         description: Error retrieving failed jobs
+ * @route GET /api/jobs/failed
+ * @desc Get the jobs that used up their attempts
+ * @access private (Admin only)
+ */
+router.get("/jobs/failed", protect, listFailed);
+
+/**
+ * @swagger
+ * /api/jobs/{id}/retry:
+ *   post:
+ *     summary: Run a failed job again
+ *     description: The job leaves the dead-letter list and gets a fresh set of attempts
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job queued for retry
+ *       404:
+ *         description: Failed job not found
+ *       500:
+ *         description: Error retrying job
+ * @route POST /api/jobs/:id/retry
+ * @desc Run a failed job again
+ * @access private (Admin only)
+ */
+router.post("/jobs/:id/retry", protect, retry);
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   delete:
+ *     summary: Discard a failed job
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job discarded successfully
+ *       404:
+ *         description: Failed job not found
+ *       500:
+ *         description: Error discarding job
+ * @route DELETE /api/jobs/:id
+ * @desc Discard a failed job
+ * @access private (Admin only)
+ */
+router.delete("/jobs/:id", protect, discard);
+
+export default router;
@@ -2,11 +2,22 @@ import express from "express";
 import {
   create,
   list,
+  featured,
   show,
+  related,
+  head,
+  stats,
   update,
+  curate,
+  bulk,
   remove,
 } from "../controllers/post.controller.js";
-import { protect } from "../middleware/protect.js";
+import {
+  protect,
+  identify,
+  authorize,
+  canManagePost,
+} from "../middleware/protect.js";
 
 const router = express.Router();
 
@@ -17,6 +28,37 @@ const router = express.Router();
  *   description: API for managing posts
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SeoMetadata:
+ *       type: object
+ *       description: Search and social metadata. Fields left empty are derived from the post or category when its page is rendered
+ *       properties:
+ *         metaTitle:
+ *           type: string
+ *           maxLength: 70
+ *           description: Defaults to the title
+ *         metaDescription:
+ *           type: string
+ *           maxLength: 160
+ *           description: Defaults to the description
+ *         canonicalUrl:
+ *           type: string
+ *           description: Defaults to the page on the client site
+ *         ogImage:
+ *           type: string
+ *           description: Open Graph and Twitter image, defaults to the thumbnail
+ *         twitterCard:
+ *           type: string
+ *           enum: [summary, summary_large_image]
+ *           description: Defaults to summary_large_image when there is an image
+ *         noindex:
+ *           type: boolean
+ *           description: Ask search engines not to index the page
+ */
+
 /**
  * @swagger
  * /api/posts:
@@ -35,12 +77,21 @@ const router = express.Router();
  *               title:
  *                 type: string
  *                 example: "Post Title"
+ *               slug:
+ *                 type: string
+ *                 example: "post-title"
+ *                 description: Optional custom slug. Defaults to the title; a suffix (-2, -3...) is added when it is taken
  *               description:
  *                 type: string
  *                 example: "Post description"
  *               content:
  *                 type: string
- *                 example: "Full post content goes here..."
+ *                 example: "## Introduction\n\nFull post content goes here..."
+ *               contentFormat:
+ *                 type: string
+ *                 enum: [markdown, html]
+ *                 example: "markdown"
+ *                 description: Format of content. It is stored as written and served as sanitized HTML (contentHtml) with a table of contents (toc)
  *               category:
  *                 type: string
  *                 example: "63f5b2a55c1b2b001e3d9c10"
@@ -52,36 +103,148 @@ const router = express.Router();
  *               thumbnail:
  *                 type: string
  *                 example: "https://example.com/thumbnail.jpg"
- *               author:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published]
+ *                 example: "scheduled"
+ *                 description: Admins only, except "draft". Defaults to "published" for admins and "draft" for authors, who submit their posts for review
+ *               publishAt:
  *                 type: string
- *                 example: "67e385916e677d16cb9693cf"
+ *                 format: date-time
+ *                 example: "2025-01-01T08:00:00.000Z"
+ *                 description: Required when status is "scheduled"
+ *               locale:
+ *                 type: string
+ *                 example: "en"
+ *                 description: Language the post is written in, defaults to the default locale
+ *               translationOf:
+ *                 type: string
+ *                 example: "63f5b2a55c1b2b001e3d9c11"
+ *                 description: ID of a post this one translates. Each article has at most one version per locale
+ *               seo:
+ *                 $ref: '#/components/schemas/SeoMetadata'
  *     responses:
  *       201:
  *         description: Post created successfully
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Only admins can publish or schedule posts
+ *       404:
+ *         description: Post to translate not found
+ *       409:
+ *         description: Slug already in use, or the article already has a version in this locale
  *       500:
  *         description: Error creating post
  * @route POST /api/posts
- * @desc Create a new post
+ * @desc Create a new post (the author is the logged-in user)
+ * @access private (Authors and admins)
+ */
+router.post("/posts", authorize("author", "admin"), create);
+
+/**
+ * @swagger
+ * /api/posts/bulk:
+ *   post:
+ *     summary: Act on many posts at once
+ *     description: Deletes (moves to the trash), moves to a category, adds or removes tags, or changes the status of posts selected either by ID or by the filters of the post list (at most 500 posts). Each post is handled on its own and gets its own result (updated, deleted, unchanged or failed with an error). With dryRun, the results are reported without changing anything.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [delete, move, addTags, removeTags, setStatus]
+ *                 example: "addTags"
+ *               ids:
+ *                 type: array
+ *                 description: Posts to act on (use either ids or filter)
+ *                 items:
+ *                   type: string
+ *                 example: ["63f5b2a55c1b2b001e3d9c10", "63f5b2a55c1b2b001e3d9c11"]
+ *               filter:
+ *                 type: object
+ *                 description: Select the posts matching these list filters instead
+ *                 properties:
+ *                   search:
+ *                     type: string
+ *                   category:
+ *                     type: string
+ *                   tags:
+ *                     type: string
+ *                     example: "nodejs,express"
+ *                   status:
+ *                     type: string
+ *                     enum: [draft, scheduled, published]
+ *               category:
+ *                 type: string
+ *                 description: Category to move the posts to (move)
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["javascript"]
+ *                 description: Tags to add or remove (addTags, removeTags)
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published]
+ *                 description: New status (setStatus)
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required when setting the status to "scheduled"
+ *               dryRun:
+ *                 type: boolean
+ *                 example: true
+ *                 description: Report what would happen without changing anything
+ *     responses:
+ *       200:
+ *         description: Bulk operation completed, see the result of each post
+ *       400:
+ *         description: Validation error, or the filter selects too many posts
+ *       404:
+ *         description: Category does not exist
+ *       500:
+ *         description: Error running bulk operation
+ * @route POST /api/posts/bulk
+ * @desc Act on many posts at once
  * @access private (Admin only)
  */
-router.post("/posts", protect, create);
+router.post("/posts/bulk", protect, bulk);
 
 /**
  * @swagger
  * /api/posts:
  *   get:
  *     summary: Get a list of all posts (with pagination, search, filters, and sorting)
+ *     description: Each article is listed once, in the requested locale when translated, else in the default locale. Each post lists its other versions (translations). When called with a bearer token, each post also carries the user's own reactions (myReactions) and whether they bookmarked it (bookmarked)
  *     tags: [Posts]
  *     parameters:
  *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           example: "en"
+ *         description: Locale to list posts in, defaults to the Accept-Language header, then to the default locale
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           example: 1
  *         description: Page number for pagination
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. Send it empty to get the first page in cursor mode; page is ignored in this mode
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -92,19 +255,19 @@ router.post("/posts", protect, create);
  *         schema:
  *           type: string
  *           example: "JavaScript"
- *         description: Search posts by title
+ *         description: Full-text search in title, tags, description and content (case and diacritic insensitive). Results are ranked by relevance unless a sort is given, and include highlighted snippets
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
  *           example: "63f5b2a55c1b2b001e3d9c10"
- *         description: Filter posts by category ID
+ *         description: Filter posts by category ID. Posts pinned to the category come first (in cursor mode, they lead the first page)
  *       - in: query
  *         name: tags
  *         schema:
  *           type: string
  *           example: "tech,cloud"
- *         description: Filter posts by tags (comma-separated values)
+ *         description: Filter posts by tags (comma-separated values). Any spelling or former name of a tag matches it
  *       - in: query
  *         name: sort
  *         schema:
@@ -112,6 +275,12 @@ router.post("/posts", protect, create);
  *           enum: [date, -date, title, -title, views, -views]
  *           example: "date"
  *         description: Sort posts by date, title, or views (prefix with "-" for descending order)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published]
+ *         description: Filter posts by status (admins only, others only see published posts)
  *     responses:
  *       200:
  *         description: Posts retrieved successfully
@@ -121,13 +290,47 @@ router.post("/posts", protect, create);
  * @desc Get a list of all posts
  * @access public
  */
-router.get("/posts", list);
+router.get("/posts", identify, list);
+
+/**
+ * @swagger
+ * /api/posts/featured:
+ *   get:
+ *     summary: Get the featured posts for the homepage
+ *     description: Published posts marked as featured by an admin, in their manual order (featuredOrder), leaving out posts whose featuredUntil date has passed
+ *     tags: [Posts]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           example: 10
+ *         description: Number of featured posts to return
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           example: "en"
+ *         description: Locale to list posts in, defaults to the Accept-Language header, then to the default locale
+ *     responses:
+ *       200:
+ *         description: Featured posts retrieved successfully
+ *       500:
+ *         description: Error retrieving featured posts
+ * @route GET /api/posts/featured
+ * @desc Get the featured posts for the homepage
+ * @access public
+ */
+router.get("/posts/featured", featured);
 
 /**
  * @swagger
  * /api/posts/{slug}:
  *   get:
  *     summary: Get a specific post by slug
+ *     description: When a locale is requested and the post has a version in that locale (or else in the default locale), that version is returned. The response lists the other versions (translations). When the post is part of a series, the response includes the series title, the post's position and the previous and next parts
  *     tags: [Posts]
  *     parameters:
  *       - in: path
@@ -136,18 +339,133 @@ router.get("/posts", list);
  *         schema:
  *           type: string
  *         description: Post slug
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           example: "en"
+ *         description: Locale to read the post in, defaults to the Accept-Language header
  *     responses:
  *       200:
  *         description: Post found
+ *       301:
+ *         description: The slug is an old slug of the post; the response and Location header point to the current one
  *       404:
- *         description: Post not found
+ *         description: Post not found (or not published yet)
  *       500:
  *         description: Error fetching post
  * @route GET /api/posts/:slug
  * @desc Get a specific post by slug
  * @access public
  */
-router.get("/posts/:slug", show);
+router.get("/posts/:slug", identify, show);
+
+/**
+ * @swagger
+ * /api/posts/{slug}/related:
+ *   get:
+ *     summary: Get posts related to a post
+ *     description: Other published posts scored by shared tags, same category, recency and what readers of this post went on to read. Responses are cacheable for 10 minutes.
+ *     tags: [Posts]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post slug
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           example: 5
+ *         description: Number of related posts to return
+ *     responses:
+ *       200:
+ *         description: Related posts retrieved successfully
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Error fetching related posts
+ * @route GET /api/posts/:slug/related
+ * @desc Get posts related to a post
+ * @access public
+ */
+router.get("/posts/:slug/related", related);
+
+/**
+ * @swagger
+ * /api/posts/{slug}/seo:
+ *   get:
+ *     summary: Get the head tags and structured data of a post page
+ *     description: The post's SEO metadata (meta title, meta description, canonical URL, Open Graph image, Twitter card, noindex), with the fields left empty derived from its title, description, slug and thumbnail. Returned as a list of tags, as JSON-LD BlogPosting structured data, and as HTML ready to be placed in the page's head. Unpublished posts, only visible to admins and their author, are always noindex.
+ *     tags: [Posts]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post slug
+ *     responses:
+ *       200:
+ *         description: Post metadata retrieved successfully
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Error retrieving post metadata
+ * @route GET /api/posts/:slug/seo
+ * @desc Get the head tags and structured data of a post page
+ * @access public
+ */
+router.get("/posts/:slug/seo", identify, head);
+
+/**
+ * @swagger
+ * /api/posts/{id}/stats:
+ *   get:
+ *     summary: Get daily view counts of a post
+ *     description: Views are counted once per visitor within a time window (VIEW_DEDUPE_MINUTES), and bots are ignored
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-01-01"
+ *         description: First day of the period (defaults to 29 days before "to")
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-01-30"
+ *         description: Last day of the period (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Post stats retrieved successfully
+ *       400:
+ *         description: Invalid date range
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Error fetching post stats
+ * @route GET /api/posts/:id/stats
+ * @desc Get daily view counts of a post
+ * @access private (Admin only)
+ */
+router.get("/posts/:id/stats", protect, stats);
 
 /**
  * @swagger
@@ -171,28 +489,115 @@ router.get("/posts/:slug", show);
  *           schema:
  *             type: object
  *             properties:
- *               name:
+ *               title:
+ *                 type: string
+ *               slug:
  *                 type: string
- *               price:
- *                 type: number
+ *                 description: Optional custom slug. The previous slug keeps redirecting to the post
  *               description:
  *                 type: string
- *               stock:
- *                 type: number
+ *               content:
+ *                 type: string
+ *               contentFormat:
+ *                 type: string
+ *                 enum: [markdown, html]
  *               category:
  *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               thumbnail:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published]
+ *                 description: Only admins can publish or schedule a post, or change the publish date of a live one
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *               locale:
+ *                 type: string
+ *               translationOf:
+ *                 type: string
+ *                 description: ID of a post to link this one to as a translation
+ *               seo:
+ *                 $ref: '#/components/schemas/SeoMetadata'
  *     responses:
  *       200:
  *         description: Post updated successfully
+ *       403:
+ *         description: Not the post's author, or only admins can publish or schedule posts
+ *       409:
+ *         description: Slug already in use, or the article already has a version in this locale
  *       404:
- *         description: Post not found
+ *         description: Post, or post to translate, not found
  *       500:
  *         description: Error updating post
  * @route PUT /api/posts/:id
  * @desc Update a specific post by ID
+ * @access private (Admins, or the post's author)
+ */
+router.put(
+  "/posts/:id",
+  authorize("author", "admin"),
+  canManagePost,
+  update
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/curation:
+ *   patch:
+ *     summary: Feature a post on the homepage or pin it to its category
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               featured:
+ *                 type: boolean
+ *                 example: true
+ *               featuredOrder:
+ *                 type: integer
+ *                 example: 1
+ *                 description: Position among featured posts, lowest first
+ *               featuredUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 example: "2025-02-01T00:00:00.000Z"
+ *                 description: The post stops being featured after this date (null to feature it indefinitely)
+ *               pinned:
+ *                 type: boolean
+ *                 example: false
+ *                 description: Show the post first when listing its category
+ *     responses:
+ *       200:
+ *         description: Post curation updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Error updating post curation
+ * @route PATCH /api/posts/:id/curation
+ * @desc Feature a post on the homepage or pin it to its category
  * @access private (Admin only)
  */
-router.put("/posts/:id", protect, update);
+router.patch("/posts/:id/curation", protect, curate);
 
 /**
  * @swagger
@@ -211,15 +616,22 @@ router.put("/posts/:id", protect, update);
  *         description: Post ID
  *     responses:
  *       200:
- *         description: Post deleted successfully
+ *         description: Post moved to the trash (restorable by admins until purged)
+ *       403:
+ *         description: Not the post's author
  *       404:
  *         description: Post not found
  *       500:
  *         description: Error deleting post
  * @route DELETE /api/posts/:id
  * @desc Delete a specific post by ID
- * @access private (Admin only)
+ * @access private (Admins, or the post's author)
  */
-router.delete("/posts/:id", protect, remove);
+router.delete(
+  "/posts/:id",
+  authorize("author", "admin"),
+  canManagePost,
+  remove
+);
 
 export default router;
@@ -0,0 +1,178 @@
+import express from "express";
+import {
+  create,
+  list,
+  revoke,
+  show,
+} from "../controllers/preview.controller.js";
+import { authorize, canManagePost } from "../middleware/protect.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Previews
+ *   description: API for sharing unpublished posts through preview links
+ */
+
+/**
+ * @swagger
+ * /api/posts/{id}/previews:
+ *   post:
+ *     summary: Create a preview link to a post
+ *     description: The token is only returned here; store or share it right away.
+ *     tags: [Previews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInHours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 720
+ *                 default: 72
+ *               note:
+ *                 type: string
+ *                 example: "For the legal team"
+ *     responses:
+ *       201:
+ *         description: Preview link created successfully
+ *       400:
+ *         description: Validation errors
+ *       403:
+ *         description: Not your post
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Error creating preview link
+ * @route POST /api/posts/:id/previews
+ * @desc Create a preview link to a post
+ * @access private (Admins, or the post's author)
+ */
+router.post(
+  "/posts/:id/previews",
+  authorize("author", "admin"),
+  canManagePost,
+  create
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/previews:
+ *   get:
+ *     summary: Get the preview links of a post
+ *     tags: [Previews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Preview links retrieved successfully
+ *       403:
+ *         description: Not your post
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Error fetching preview links
+ * @route GET /api/posts/:id/previews
+ * @desc Get the preview links of a post
+ * @access private (Admins, or the post's author)
+ */
+router.get(
+  "/posts/:id/previews",
+  authorize("author", "admin"),
+  canManagePost,
+  list
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/previews/{previewId}:
+ *   delete:
+ *     summary: Revoke a preview link
+ *     tags: [Previews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: previewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Preview link ID
+ *     responses:
+ *       200:
+ *         description: Preview link revoked successfully
+ *       403:
+ *         description: Not your post
+ *       404:
+ *         description: Post or preview link not found
+ *       500:
+ *         description: Error revoking preview link
+ * @route DELETE /api/posts/:id/previews/:previewId
+ * @desc Revoke a preview link
+ * @access private (Admins, or the post's author)
+ */
+router.delete(
+  "/posts/:id/previews/:previewId",
+  authorize("author", "admin"),
+  canManagePost,
+  revoke
+);
+
+/**
+ * @swagger
+ * /api/previews/{token}:
+ *   get:
+ *     summary: Read a post through a preview link
+ *     description: Gives read-only access to the post the link was made for, published or not, with its autosaved unsaved changes if any, else as of its latest revision.
+ *     tags: [Previews]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Preview token
+ *     responses:
+ *       200:
+ *         description: Post preview retrieved successfully
+ *       401:
+ *         description: Invalid preview link
+ *       404:
+ *         description: Post not found
+ *       410:
+ *         description: Preview link expired or revoked
+ *       500:
+ *         description: Error fetching post preview
+ * @route GET /api/previews/:token
+ * @desc Read a post through a preview link
+ * @access public
+ */
+router.get("/previews/:token", show);
+
+export default router;
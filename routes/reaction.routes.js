@@ -0,0 +1,56 @@
+import express from "express";
+import { toggle } from "../controllers/reaction.controller.js";
+import { authenticate } from "../middleware/protect.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reactions
+ *   description: API for reacting to posts
+ */
+
+/**
+ * @swagger
+ * /api/posts/{id}/reactions:
+ *   post:
+ *     summary: Toggle a reaction on a post
+ *     description: Adds the reaction if the user has not left one of this type yet, otherwise removes it. A user can leave several reactions of different types.
+ *     tags: [Reactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [like, love, insightful, celebrate, funny]
+ *                 example: "insightful"
+ *     responses:
+ *       200:
+ *         description: Reaction updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Error updating reaction
+ * @route POST /api/posts/:id/reactions
+ * @desc Toggle a reaction on a post
+ * @access private
+ */
+router.post("/posts/:id/reactions", authenticate, toggle);
+
+export default router;
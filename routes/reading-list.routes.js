@@ -0,0 +1,318 @@
+import express from "express";
+import {
+  list,
+  create,
+  show,
+  update,
+  reorder,
+  remove,
+  addPost,
+  removePost,
+  showShared,
+} from "../controllers/reading-list.controller.js";
+import { authenticate } from "../middleware/protect.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reading Lists
+ *   description: API for managing named reading lists
+ */
+
+/**
+ * @swagger
+ * /api/reading-lists:
+ *   get:
+ *     summary: Get the current user's reading lists
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reading lists retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Error fetching reading lists
+ * @route GET /api/reading-lists
+ * @desc Get the current user's reading lists
+ * @access private
+ */
+router.get("/reading-lists", authenticate, list);
+
+/**
+ * @swagger
+ * /api/reading-lists:
+ *   post:
+ *     summary: Create a reading list
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Weekend reads"
+ *               description:
+ *                 type: string
+ *                 example: "Long articles for Saturday morning"
+ *               isPublic:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       201:
+ *         description: Reading list created successfully
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Error creating reading list
+ * @route POST /api/reading-lists
+ * @desc Create a reading list
+ * @access private
+ */
+router.post("/reading-lists", authenticate, create);
+
+/**
+ * @swagger
+ * /api/reading-lists/order:
+ *   put:
+ *     summary: Reorder the current user's reading lists
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lists:
+ *                 type: array
+ *                 description: Every reading list ID of the user, in the new order
+ *                 items:
+ *                   type: string
+ *                 example: ["63f5b2a55c1b2b001e3d9c12", "63f5b2a55c1b2b001e3d9c11"]
+ *     responses:
+ *       200:
+ *         description: Reading lists reordered successfully
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Error reordering reading lists
+ * @route PUT /api/reading-lists/order
+ * @desc Reorder the current user's reading lists
+ * @access private
+ */
+router.put("/reading-lists/order", authenticate, reorder);
+
+/**
+ * @swagger
+ * /api/reading-lists/shared/{token}:
+ *   get:
+ *     summary: Get a public reading list through its share link
+ *     tags: [Reading Lists]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token of the reading list
+ *     responses:
+ *       200:
+ *         description: Reading list retrieved successfully
+ *       404:
+ *         description: Reading list not found or not public
+ *       500:
+ *         description: Error fetching reading list
+ * @route GET /api/reading-lists/shared/:token
+ * @desc Get a public reading list
+ * @access public
+ */
+router.get("/reading-lists/shared/:token", showShared);
+
+/**
+ * @swagger
+ * /api/reading-lists/{id}:
+ *   get:
+ *     summary: Get one of the current user's reading lists
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reading list ID
+ *     responses:
+ *       200:
+ *         description: Reading list retrieved successfully
+ *       404:
+ *         description: Reading list not found
+ *       500:
+ *         description: Error fetching reading list
+ * @route GET /api/reading-lists/:id
+ * @desc Get a reading list
+ * @access private
+ */
+router.get("/reading-lists/:id", authenticate, show);
+
+/**
+ * @swagger
+ * /api/reading-lists/{id}:
+ *   put:
+ *     summary: Rename a reading list or change its visibility
+ *     description: Making a list public creates a share token; its link is /api/reading-lists/shared/{shareToken}
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reading list ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Weekend reads"
+ *               description:
+ *                 type: string
+ *               isPublic:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Reading list updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Reading list not found
+ *       500:
+ *         description: Error updating reading list
+ * @route PUT /api/reading-lists/:id
+ * @desc Update a reading list
+ * @access private
+ */
+router.put("/reading-lists/:id", authenticate, update);
+
+/**
+ * @swagger
+ * /api/reading-lists/{id}:
+ *   delete:
+ *     summary: Delete a reading list
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reading list ID
+ *     responses:
+ *       200:
+ *         description: Reading list deleted successfully
+ *       404:
+ *         description: Reading list not found
+ *       500:
+ *         description: Error deleting reading list
+ * @route DELETE /api/reading-lists/:id
+ * @desc Delete a reading list
+ * @access private
+ */
+router.delete("/reading-lists/:id", authenticate, remove);
+
+/**
+ * @swagger
+ * /api/reading-lists/{id}/posts:
+ *   post:
+ *     summary: Add a post to a reading list
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reading list ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               post:
+ *                 type: string
+ *                 example: "63f5b2a55c1b2b001e3d9c10"
+ *     responses:
+ *       200:
+ *         description: Post added to reading list successfully
+ *       400:
+ *         description: Validation error or list is full
+ *       404:
+ *         description: Reading list or post not found
+ *       500:
+ *         description: Error adding post to reading list
+ * @route POST /api/reading-lists/:id/posts
+ * @desc Add a post to a reading list
+ * @access private
+ */
+router.post("/reading-lists/:id/posts", authenticate, addPost);
+
+/**
+ * @swagger
+ * /api/reading-lists/{id}/posts/{post}:
+ *   delete:
+ *     summary: Remove a post from a reading list
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reading list ID
+ *       - in: path
+ *         name: post
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Post removed from reading list successfully
+ *       404:
+ *         description: Reading list not found or post not in it
+ *       500:
+ *         description: Error removing post from reading list
+ * @route DELETE /api/reading-lists/:id/posts/:post
+ * @desc Remove a post from a reading list
+ * @access private
+ */
+router.delete("/reading-lists/:id/posts/:post", authenticate, removePost);
+
+export default router;
@@ -0,0 +1,224 @@
+import express from "express";
+import {
+  submit,
+  approve,
+  reject,
+  queue,
+  history,
+} from "../controllers/review.controller.js";
+import { protect, authorize, canManagePost } from "../middleware/protect.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reviews
+ *   description: API for the editorial review of posts before they go live
+ */
+
+/**
+ * @swagger
+ * /api/reviews:
+ *   get:
+ *     summary: Get the posts awaiting review, longest waiting first
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Review queue retrieved successfully
+ *       500:
+ *         description: Error fetching review queue
+ * @route GET /api/reviews
+ * @desc Get the posts awaiting review
+ * @access private (Admin only)
+ */
+router.get("/reviews", protect, queue);
+
+/**
+ * @swagger
+ * /api/posts/{id}/reviews:
+ *   get:
+ *     summary: Get the review history of a post
+ *     description: Every submission, approval, rejection, change of status and reset of the review, with who made it and when.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Review history retrieved successfully
+ *       403:
+ *         description: Not your post
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Error fetching review history
+ * @route GET /api/posts/:id/reviews
+ * @desc Get the review history of a post
+ * @access private (Admins, or the post's author)
+ */
+router.get(
+  "/posts/:id/reviews",
+  authorize("author", "admin"),
+  canManagePost,
+  history
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/review/submit:
+ *   post:
+ *     summary: Submit a draft for review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: "Ready for a second look at the intro"
+ *     responses:
+ *       200:
+ *         description: Post submitted for review successfully
+ *       400:
+ *         description: Validation errors, or the post is not a draft
+ *       403:
+ *         description: Not your post
+ *       404:
+ *         description: Post not found
+ *       409:
+ *         description: Post is already awaiting review
+ *       500:
+ *         description: Error submitting post for review
+ * @route POST /api/posts/:id/review/submit
+ * @desc Submit a draft for review
+ * @access private (Admins, or the post's author)
+ */
+router.post(
+  "/posts/:id/review/submit",
+  authorize("author", "admin"),
+  canManagePost,
+  submit
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/review/approve:
+ *   post:
+ *     summary: Approve a post awaiting review
+ *     description: Publishes the post, or schedules it when publishAt is in the future.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Post approved and published or scheduled successfully
+ *       400:
+ *         description: Validation errors
+ *       404:
+ *         description: Post not found
+ *       409:
+ *         description: Post is not awaiting review
+ *       500:
+ *         description: Error approving post
+ * @route POST /api/posts/:id/review/approve
+ * @desc Approve a post awaiting review
+ * @access private (Admin only)
+ */
+router.post("/posts/:id/review/approve", protect, canManagePost, approve);
+
+/**
+ * @swagger
+ * /api/posts/{id}/review/reject:
+ *   post:
+ *     summary: Reject a post awaiting review
+ *     description: The post stays a draft and its author gets the reviewer notes.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [notes]
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: "The second section needs sources"
+ *     responses:
+ *       200:
+ *         description: Post rejected successfully
+ *       400:
+ *         description: Validation errors
+ *       404:
+ *         description: Post not found
+ *       409:
+ *         description: Post is not awaiting review
+ *       500:
+ *         description: Error rejecting post
+ * @route POST /api/posts/:id/review/reject
+ * @desc Reject a post awaiting review
+ * @access private (Admin only)
+ */
+router.post("/posts/:id/review/reject", protect, canManagePost, reject);
+
+export default router;
@@ -0,0 +1,304 @@
+import express from "express";
+import {
+  list,
+  show,
+  diff,
+  restore,
+  showDraft,
+  saveDraft,
+  discardDraft,
+} from "../controllers/revision.controller.js";
+import { authorize, canManagePost } from "../middleware/protect.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Revisions
+ *   description: API for browsing and restoring post revisions
+ */
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions:
+ *   get:
+ *     summary: Get the revision history of a post
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Error fetching revisions
+ * @route GET /api/posts/:id/revisions
+ * @desc Get the revision history of a post
+ * @access private (Admins, or the post's author)
+ */
+router.get(
+  "/posts/:id/revisions",
+  authorize("author", "admin"),
+  canManagePost,
+  list
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a post field by field
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Version to compare from
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *         description: Version to compare to
+ *     responses:
+ *       200:
+ *         description: Revision diff generated successfully
+ *       400:
+ *         description: Missing or invalid versions
+ *       404:
+ *         description: Revision not found
+ *       500:
+ *         description: Error generating revision diff
+ * @route GET /api/posts/:id/revisions/diff
+ * @desc Compare two revisions of a post
+ * @access private (Admins, or the post's author)
+ */
+router.get(
+  "/posts/:id/revisions/diff",
+  authorize("author", "admin"),
+  canManagePost,
+  diff
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/{version}:
+ *   get:
+ *     summary: Get a specific revision of a post
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision version
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *       404:
+ *         description: Revision not found
+ *       500:
+ *         description: Error fetching revision
+ * @route GET /api/posts/:id/revisions/:version
+ * @desc Get a specific revision of a post
+ * @access private (Admins, or the post's author)
+ */
+router.get(
+  "/posts/:id/revisions/:version",
+  authorize("author", "admin"),
+  canManagePost,
+  show
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/revisions/{version}/restore:
+ *   post:
+ *     summary: Restore an old revision as the current version of a post
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision version to restore
+ *     responses:
+ *       200:
+ *         description: Revision restored successfully
+ *       404:
+ *         description: Post or revision not found
+ *       500:
+ *         description: Error restoring revision
+ * @route POST /api/posts/:id/revisions/:version/restore
+ * @desc Restore an old revision of a post
+ * @access private (Admins, or the post's author)
+ */
+router.post(
+  "/posts/:id/revisions/:version/restore",
+  authorize("author", "admin"),
+  canManagePost,
+  restore
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/draft:
+ *   get:
+ *     summary: Get the autosaved, unsaved changes to a post
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Draft retrieved successfully
+ *       404:
+ *         description: Post or draft not found
+ *       500:
+ *         description: Error fetching draft
+ * @route GET /api/posts/:id/draft
+ * @desc Get the autosaved changes to a post
+ * @access private (Admins, or the post's author)
+ */
+router.get(
+  "/posts/:id/draft",
+  authorize("author", "admin"),
+  canManagePost,
+  showDraft
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/draft:
+ *   put:
+ *     summary: Autosave unsaved changes to a post
+ *     description: The post itself is left as it is. The draft is discarded once the post is saved or a revision restored.
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               contentFormat:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Draft saved successfully
+ *       400:
+ *         description: Validation errors
+ *       404:
+ *         description: Post not found
+ *       500:
+ *         description: Error saving draft
+ * @route PUT /api/posts/:id/draft
+ * @desc Autosave unsaved changes to a post
+ * @access private (Admins, or the post's author)
+ */
+router.put(
+  "/posts/:id/draft",
+  authorize("author", "admin"),
+  canManagePost,
+  saveDraft
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/draft:
+ *   delete:
+ *     summary: Discard the unsaved changes to a post
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     responses:
+ *       200:
+ *         description: Draft discarded successfully
+ *       404:
+ *         description: Post or draft not found
+ *       500:
+ *         description: Error discarding draft
+ * @route DELETE /api/posts/:id/draft
+ * @desc Discard the unsaved changes to a post
+ * @access private (Admins, or the post's author)
+ */
+router.delete(
+  "/posts/:id/draft",
+  authorize("author", "admin"),
+  canManagePost,
+  discardDraft
+);
+
+export default router;
@@ -0,0 +1,185 @@
+import express from "express";
+import {
+  create,
+  list,
+  show,
+  update,
+  remove,
+} from "../controllers/series.controller.js";
+import { protect, identify } from "../middleware/protect.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Series
+ *   description: API for managing multi-part post series
+ */
+
+/**
+ * @swagger
+ * /api/series:
+ *   post:
+ *     summary: Create a new series
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Node.js from scratch"
+ *               slug:
+ *                 type: string
+ *                 example: "nodejs-from-scratch"
+ *                 description: Optional custom slug, defaults to the title
+ *               description:
+ *                 type: string
+ *                 example: "A step by step tutorial"
+ *               posts:
+ *                 type: array
+ *                 description: Post IDs in reading order
+ *                 items:
+ *                   type: string
+ *                 example: ["63f5b2a55c1b2b001e3d9c10", "63f5b2a55c1b2b001e3d9c11"]
+ *     responses:
+ *       201:
+ *         description: Series created successfully
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Error creating series
+ * @route POST /api/series
+ * @desc Create a new series
+ * @access private (Admin only)
+ */
+router.post("/series", protect, create);
+
+/**
+ * @swagger
+ * /api/series:
+ *   get:
+ *     summary: Get a list of all series
+ *     tags: [Series]
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *       500:
+ *         description: Error fetching series
+ * @route GET /api/series
+ * @desc Get a list of all series
+ * @access public
+ */
+router.get("/series", list);
+
+/**
+ * @swagger
+ * /api/series/{identifier}:
+ *   get:
+ *     summary: Get a specific series by ID or slug, with its parts in order
+ *     tags: [Series]
+ *     parameters:
+ *       - in: path
+ *         name: identifier
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The series ID or slug
+ *     responses:
+ *       200:
+ *         description: Series retrieved successfully
+ *       301:
+ *         description: The identifier is an old slug of the series; the response and Location header point to the current one
+ *       404:
+ *         description: Series not found
+ *       500:
+ *         description: Error fetching series
+ * @route GET /api/series/:identifier
+ * @desc Get a specific series by ID or slug
+ * @access public
+ */
+router.get("/series/:identifier", identify, show);
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   put:
+ *     summary: Update a series and the order of its parts
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Series ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               posts:
+ *                 type: array
+ *                 description: Post IDs in reading order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Series updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Series not found
+ *       500:
+ *         description: Error updating series
+ * @route PUT /api/series/:id
+ * @desc Update a series
+ * @access private (Admin only)
+ */
+router.put("/series/:id", protect, update);
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   delete:
+ *     summary: Delete a series (its posts are kept)
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Series ID
+ *     responses:
+ *       200:
+ *         description: Series deleted successfully
+ *       404:
+ *         description: Series not found
+ *       500:
+ *         description: Error deleting series
+ * @route DELETE /api/series/:id
+ * @desc Delete a series
+ * @access private (Admin only)
+ */
+router.delete("/series/:id", protect, remove);
+
+export default router;
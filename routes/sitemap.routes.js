@@ -0,0 +1,70 @@
+import express from "express";
+import { index, show } from "../controllers/sitemap.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sitemaps
+ *   description: XML sitemaps of the published posts and the category pages
+ */
+
+/**
+ * @swagger
+ * /api/sitemap.xml:
+ *   get:
+ *     summary: Get the sitemap of the site
+ *     description: Lists the home page, the category pages and the published posts, with their updatedAt date as lastmod. Posts with translations carry hreflang alternates. Once there are too many pages for one file (5000), this is a sitemap index pointing to /api/sitemaps/pages.xml and /api/sitemaps/posts-1.xml, posts-2.xml... Sitemaps are rebuilt as soon as a post or category changes.
+ *     tags: [Sitemaps]
+ *     responses:
+ *       200:
+ *         description: The sitemap or sitemap index, with ETag and Last-Modified headers
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: The sitemap has not changed
+ *       500:
+ *         description: Error building sitemap
+ * @route GET /api/sitemap.xml
+ * @desc Get the sitemap of the site
+ * @access public
+ */
+router.get("/sitemap.xml", index);
+
+/**
+ * @swagger
+ * /api/sitemaps/{name}.xml:
+ *   get:
+ *     summary: Get one of the sitemaps listed by the sitemap index
+ *     tags: [Sitemaps]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: posts-1
+ *         description: '"pages" for the home and category pages, or "posts-1", "posts-2"... for the posts'
+ *     responses:
+ *       200:
+ *         description: The sitemap, with ETag and Last-Modified headers
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: The sitemap has not changed
+ *       404:
+ *         description: Sitemap not found
+ *       500:
+ *         description: Error building sitemap
+ * @route GET /api/sitemaps/:name.xml
+ * @desc Get one of the sitemaps listed by the sitemap index
+ * @access public
+ */
+router.get("/sitemaps/:name.xml", show);
+
+export default router;
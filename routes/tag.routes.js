@@ -0,0 +1,160 @@
+import express from "express";
+import { list, show, update, merge } from "../controllers/tag.controller.js";
+import { protect } from "../middleware/protect.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tags
+ *   description: API for managing post tags
+ */
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: Get all tags
+ *     description: Each tag carries the number of published posts using it (postCount)
+ *     tags: [Tags]
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ *       500:
+ *         description: Error retrieving tags
+ * @route GET /api/tags
+ * @desc Get all tags with their post counts
+ * @access public
+ */
+router.get("/tags", list);
+
+/**
+ * @swagger
+ * /api/tags/{slug}:
+ *   get:
+ *     summary: Get a tag by slug, with its published posts
+ *     tags: [Tags]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag slug
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           example: 10
+ *         description: Number of posts per page
+ *     responses:
+ *       200:
+ *         description: Tag retrieved successfully
+ *       301:
+ *         description: The slug is a former name of the tag or of a tag merged into it; the response and Location header point to the current one
+ *       404:
+ *         description: Tag not found
+ *       500:
+ *         description: Error fetching tag
+ * @route GET /api/tags/:slug
+ * @desc Get a tag by slug, with its published posts
+ * @access public
+ */
+router.get("/tags/:slug", show);
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   put:
+ *     summary: Rename a tag or change its description
+ *     description: Every post using the tag is updated to the new name, and the old slug keeps redirecting to the tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Node.js"
+ *               description:
+ *                 type: string
+ *                 example: "Server-side JavaScript"
+ *     responses:
+ *       200:
+ *         description: Tag updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: The name belongs to another tag (merge them instead)
+ *       500:
+ *         description: Error updating tag
+ * @route PUT /api/tags/:id
+ * @desc Rename a tag or change its description
+ * @access private (Admin only)
+ */
+router.put("/tags/:id", protect, update);
+
+/**
+ * @swagger
+ * /api/tags/{id}/merge:
+ *   post:
+ *     summary: Merge a tag into another one
+ *     description: Posts using the tag are moved to the other tag, and the merged tag's slug and aliases redirect to it. The merged tag is deleted.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the tag to merge (it is deleted)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               into:
+ *                 type: string
+ *                 example: "63f5b2a55c1b2b001e3d9c10"
+ *                 description: ID of the tag to keep
+ *     responses:
+ *       200:
+ *         description: Tags merged successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Tag not found
+ *       500:
+ *         description: Error merging tags
+ * @route POST /api/tags/:id/merge
+ * @desc Merge a tag into another one
+ * @access private (Admin only)
+ */
+router.post("/tags/:id/merge", protect, merge);
+
+export default router;
@@ -0,0 +1,134 @@
+import express from "express";
+import { list, restore, purge } from "../controllers/trash.controller.js";
+import { protect } from "../middleware/protect.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: API for restoring or purging deleted posts, categories, comments and users
+ */
+
+/**
+ * @swagger
+ * /api/trash/{type}:
+ *   get:
+ *     summary: Get the trashed items of a type
+ *     description: Deleted items stay in the trash for TRASH_RETENTION_DAYS days (30 by default), then they are purged automatically. Each item carries the date it will be purged (purgeAt).
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [posts, categories, comments, users]
+ *         description: Kind of items
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *           example: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ *       400:
+ *         description: Unknown trash type
+ *       500:
+ *         description: Error retrieving trash
+ * @route GET /api/trash/:type
+ * @desc Get the trashed items of a type
+ * @access private (Admin only)
+ */
+router.get("/trash/:type", protect, list);
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore a trashed item
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [posts, categories, comments, users]
+ *         description: Kind of item
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Item ID
+ *     responses:
+ *       200:
+ *         description: Item restored successfully
+ *       400:
+ *         description: Unknown trash type
+ *       404:
+ *         description: Item not found in trash
+ *       500:
+ *         description: Error restoring item
+ * @route POST /api/trash/:type/:id/restore
+ * @desc Restore a trashed item
+ * @access private (Admin only)
+ */
+router.post("/trash/:type/:id/restore", protect, restore);
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}:
+ *   delete:
+ *     summary: Delete a trashed item permanently
+ *     description: Also deletes the data that belongs to the item, such as the revisions, reactions and comments of a post
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [posts, categories, comments, users]
+ *         description: Kind of item
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Item ID
+ *     responses:
+ *       200:
+ *         description: Item deleted permanently
+ *       400:
+ *         description: Unknown trash type
+ *       404:
+ *         description: Item not found in trash
+ *       409:
+ *         description: A category still holding posts cannot be purged
+ *       500:
+ *         description: Error purging item
+ * @route DELETE /api/trash/:type/:id
+ * @desc Delete a trashed item permanently
+ * @access private (Admin only)
+ */
+router.delete("/trash/:type/:id", protect, purge);
+
+export default router;
@@ -44,8 +44,8 @@ export const registerValidationSchema = Joi.object({
     .messages({
       "string.uri": "Avatar must be a valid URI",
     }),
-  role: Joi.string().valid("user", "admin").default("user").messages({
-    "any.only": "Role must be either 'user' or 'admin'",
+  role: Joi.string().valid("user", "author", "admin").default("user").messages({
+    "any.only": "Role must be one of 'user', 'author' or 'admin'",
   }),
   status: Joi.string().valid("active", "inactive").default("active").messages({
     "any.only": "Status must be either 'active' or 'inactive'",
@@ -73,3 +73,10 @@ export const loginValidationSchema = Joi.object({
       "any.required": "Password is required",
     }),
 });
+
+export const roleValidationSchema = Joi.object({
+  role: Joi.string().valid("user", "author", "admin").required().messages({
+    "any.only": "Role must be one of 'user', 'author' or 'admin'",
+    "any.required": "Role is required",
+  }),
+});
@@ -0,0 +1,11 @@
+import Joi from "joi";
+
+export const bookmarkValidationSchema = Joi.object({
+  post: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Invalid post ID",
+      "any.required": "Post ID is required",
+    }),
+});
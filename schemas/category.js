@@ -1,4 +1,9 @@
 import Joi from "joi";
+import { SLUG_PATTERN } from "../utils/slug.js";
+import { SUPPORTED_LOCALES } from "../utils/locale.js";
+import { seoValidationSchema } from "./seo.js";
+
+const LOCALE_LIST = SUPPORTED_LOCALES.join(", ");
 
 export const categoryValidationSchema = Joi.object({
   name: Joi.string().trim().min(3).max(50).required().messages({
@@ -8,10 +13,46 @@ export const categoryValidationSchema = Joi.object({
     "any.required": "Name is a required field.",
   }),
 
+  slug: Joi.string().trim().max(50).pattern(SLUG_PATTERN).messages({
+    "string.pattern.base":
+      "Slug can only contain lowercase letters, numbers and single hyphens.",
+    "string.max": "Slug must not exceed 50 characters.",
+  }),
+
   description: Joi.string().min(10).max(200).required().messages({
     "string.empty": "Description is required.",
     "string.min": "Description must be at least 10 characters long.",
     "string.max": "Description must not exceed 200 characters.",
     "any.required": "Description is a required field.",
   }),
+
+  translations: Joi.array()
+    .items(
+      Joi.object({
+        locale: Joi.string()
+          .valid(...SUPPORTED_LOCALES)
+          .required()
+          .messages({
+            "any.only": `Locale must be one of ${LOCALE_LIST}.`,
+            "any.required": "Locale of a translation is required.",
+          }),
+        name: Joi.string().trim().min(3).max(50).required().messages({
+          "string.min": "Translated name must be at least 3 characters long.",
+          "string.max": "Translated name must not exceed 50 characters.",
+          "any.required": "Translated name is a required field.",
+        }),
+        description: Joi.string().min(10).max(200).messages({
+          "string.min":
+            "Translated description must be at least 10 characters long.",
+          "string.max":
+            "Translated description must not exceed 200 characters.",
+        }),
+      })
+    )
+    .unique("locale")
+    .messages({
+      "array.unique": "Each locale can only be translated once.",
+    }),
+
+  seo: seoValidationSchema,
 });
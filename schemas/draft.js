@@ -0,0 +1,22 @@
+import Joi from "joi";
+
+// Work in progress: every field is optional and may still be too short to
+// save as the post
+export const draftValidationSchema = Joi.object({
+  title: Joi.string().trim().allow("").max(255).messages({
+    "string.max": "Title cannot exceed 255 characters",
+  }),
+  description: Joi.string().trim().allow("").max(500).messages({
+    "string.max": "Description cannot exceed 500 characters",
+  }),
+  content: Joi.string().allow(""),
+  contentFormat: Joi.string().valid("markdown", "html").messages({
+    "any.only": "Content format must be either 'markdown' or 'html'",
+  }),
+  tags: Joi.array().items(Joi.string().trim().max(30)).messages({
+    "array.includes": "Each tag must be a valid string",
+    "string.max": "Each tag cannot exceed 30 characters",
+  }),
+})
+  .min(1)
+  .messages({ "object.min": "A draft needs at least one field" });
@@ -1,4 +1,7 @@
 import Joi from "joi";
+import { SLUG_PATTERN } from "../utils/slug.js";
+import { SUPPORTED_LOCALES } from "../utils/locale.js";
+import { seoValidationSchema } from "./seo.js";
 
 export const postValidationSchema = Joi.object({
   title: Joi.string().trim().min(10).max(255).required().messages({
@@ -7,6 +10,11 @@ export const postValidationSchema = Joi.object({
     "string.max": "Title cannot exceed 255 characters",
     "any.required": "Title is required",
   }),
+  slug: Joi.string().trim().max(255).pattern(SLUG_PATTERN).messages({
+    "string.pattern.base":
+      "Slug can only contain lowercase letters, numbers and single hyphens",
+    "string.max": "Slug cannot exceed 255 characters",
+  }),
   description: Joi.string().trim().min(20).max(500).required().messages({
     "string.empty": "Description cannot be empty",
     "string.min": "Description must be at least 20 characters long",
@@ -18,6 +26,9 @@ export const postValidationSchema = Joi.object({
     "string.min": "Content must be at least 50 characters long",
     "any.required": "Content is required",
   }),
+  contentFormat: Joi.string().valid("markdown", "html").messages({
+    "any.only": "Content format must be either 'markdown' or 'html'",
+  }),
   thumbnail: Joi.string().uri().allow("").messages({
     "string.uri": "Thumbnail must be a valid URL",
   }),
@@ -32,11 +43,132 @@ export const postValidationSchema = Joi.object({
     "array.includes": "Each tag must be a valid string",
     "string.max": "Each tag cannot exceed 30 characters",
   }),
-  author: Joi.string()
+  locale: Joi.string()
+    .valid(...SUPPORTED_LOCALES)
+    .messages({
+      "any.only": `Locale must be one of ${SUPPORTED_LOCALES.join(", ")}`,
+    }),
+  translationOf: Joi.string()
     .regex(/^[0-9a-fA-F]{24}$/)
-    .required()
+    .messages({ "string.pattern.base": "Invalid post to translate" }),
+  status: Joi.string().valid("draft", "scheduled", "published").messages({
+    "any.only": "Status must be one of 'draft', 'scheduled' or 'published'",
+  }),
+  publishAt: Joi.date()
+    .iso()
+    .allow(null)
+    .when("status", {
+      is: "scheduled",
+      then: Joi.date().iso().greater("now").required(),
+    })
     .messages({
-      "string.pattern.base": "Invalid author",
-      "any.required": "Author is required",
+      "date.base": "Publish date must be a valid date",
+      "date.format": "Publish date must be an ISO 8601 date",
+      "date.greater": "Publish date of a scheduled post must be in the future",
+      "any.required": "Publish date is required for scheduled posts",
     }),
+  seo: seoValidationSchema,
 });
+
+export const curationValidationSchema = Joi.object({
+  featured: Joi.boolean().messages({
+    "boolean.base": "Featured must be true or false",
+  }),
+  featuredOrder: Joi.number().integer().min(0).messages({
+    "number.base": "Featured order must be a number",
+    "number.integer": "Featured order must be an integer",
+    "number.min": "Featured order cannot be negative",
+  }),
+  featuredUntil: Joi.date().iso().greater("now").allow(null).messages({
+    "date.base": "Featured until must be a valid date",
+    "date.format": "Featured until must be an ISO 8601 date",
+    "date.greater": "Featured until must be in the future",
+  }),
+  pinned: Joi.boolean().messages({
+    "boolean.base": "Pinned must be true or false",
+  }),
+})
+  .min(1)
+  .messages({ "object.min": "Nothing to update" });
+
+export const BULK_ACTIONS = [
+  "delete",
+  "move",
+  "addTags",
+  "removeTags",
+  "setStatus",
+];
+
+// Most posts a single bulk operation may touch
+export const BULK_LIMIT = 500;
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/);
+
+export const bulkValidationSchema = Joi.object({
+  action: Joi.string()
+    .valid(...BULK_ACTIONS)
+    .required()
+    .messages({
+      "any.only": `Action must be one of ${BULK_ACTIONS.join(", ")}`,
+      "any.required": "Action is required",
+    }),
+  ids: Joi.array()
+    .items(objectId.messages({ "string.pattern.base": "Invalid post ID" }))
+    .min(1)
+    .max(BULK_LIMIT)
+    .unique()
+    .messages({
+      "array.min": "Select at least one post",
+      "array.max": `A bulk operation can select at most ${BULK_LIMIT} posts`,
+      "array.unique": "Each post can only be selected once",
+    }),
+  filter: Joi.object({
+    search: Joi.string().allow(""),
+    category: objectId.messages({ "string.pattern.base": "Invalid category" }),
+    tags: Joi.string(),
+    status: Joi.string().valid("draft", "scheduled", "published"),
+  }),
+  category: objectId
+    .when("action", { is: "move", then: Joi.required() })
+    .messages({
+      "string.pattern.base": "Invalid category",
+      "any.required": "Category is required to move posts",
+    }),
+  tags: Joi.array()
+    .items(Joi.string().trim().max(30))
+    .min(1)
+    .when("action", {
+      is: Joi.valid("addTags", "removeTags"),
+      then: Joi.required(),
+    })
+    .messages({
+      "string.max": "Each tag cannot exceed 30 characters",
+      "array.min": "Give at least one tag",
+      "any.required": "Tags are required to add or remove tags",
+    }),
+  status: Joi.string()
+    .valid("draft", "scheduled", "published")
+    .when("action", { is: "setStatus", then: Joi.required() })
+    .messages({
+      "any.only": "Status must be one of 'draft', 'scheduled' or 'published'",
+      "any.required": "Status is required to change the status of posts",
+    }),
+  publishAt: Joi.date()
+    .iso()
+    .allow(null)
+    .when("status", {
+      is: "scheduled",
+      then: Joi.date().iso().greater("now").required(),
+    })
+    .messages({
+      "date.base": "Publish date must be a valid date",
+      "date.greater": "Publish date of a scheduled post must be in the future",
+      "any.required": "Publish date is required for scheduled posts",
+    }),
+  dryRun: Joi.boolean().default(false),
+})
+  .xor("ids", "filter")
+  .messages({
+    "object.missing": "Select posts with either ids or filter",
+    "object.xor": "Select posts with either ids or filter, not both",
+  });
@@ -0,0 +1,21 @@
+import Joi from "joi";
+
+// Longest a preview link can stay valid, in hours
+export const MAX_PREVIEW_HOURS = 30 * 24;
+
+export const previewValidationSchema = Joi.object({
+  expiresInHours: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_PREVIEW_HOURS)
+    .default(72)
+    .messages({
+      "number.base": "Expiry must be a number of hours",
+      "number.integer": "Expiry must be a whole number of hours",
+      "number.min": "Expiry must be at least 1 hour",
+      "number.max": `Expiry cannot exceed ${MAX_PREVIEW_HOURS} hours`,
+    }),
+  note: Joi.string().trim().max(200).allow("").messages({
+    "string.max": "Note cannot exceed 200 characters",
+  }),
+});
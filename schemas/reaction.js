@@ -0,0 +1,12 @@
+import Joi from "joi";
+import { REACTION_TYPES } from "../models/reaction.model.js";
+
+export const reactionValidationSchema = Joi.object({
+  type: Joi.string()
+    .valid(...REACTION_TYPES)
+    .required()
+    .messages({
+      "any.only": `Reaction must be one of: ${REACTION_TYPES.join(", ")}`,
+      "any.required": "Reaction type is required",
+    }),
+});
@@ -0,0 +1,30 @@
+import Joi from "joi";
+
+export const readingListValidationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    "string.empty": "Name cannot be empty",
+    "string.max": "Name cannot exceed 100 characters",
+    "any.required": "Name is required",
+  }),
+  description: Joi.string().trim().max(500).allow("").messages({
+    "string.max": "Description cannot exceed 500 characters",
+  }),
+  isPublic: Joi.boolean().messages({
+    "boolean.base": "isPublic must be true or false",
+  }),
+});
+
+export const readingListOrderValidationSchema = Joi.object({
+  lists: Joi.array()
+    .items(
+      Joi.string()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .messages({ "string.pattern.base": "Invalid reading list ID" })
+    )
+    .unique()
+    .required()
+    .messages({
+      "array.unique": "Each reading list can only appear once",
+      "any.required": "The ordered list of reading list IDs is required",
+    }),
+});
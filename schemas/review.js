@@ -0,0 +1,25 @@
+import Joi from "joi";
+
+const notes = Joi.string().trim().max(2000).messages({
+  "string.max": "Notes cannot exceed 2000 characters",
+});
+
+export const submitReviewValidationSchema = Joi.object({
+  notes: notes.allow(""),
+});
+
+export const approveReviewValidationSchema = Joi.object({
+  // Publish now when empty or past, else schedule the post for then
+  publishAt: Joi.date().iso().allow(null).messages({
+    "date.base": "Publish date must be a valid date",
+    "date.format": "Publish date must be an ISO 8601 date",
+  }),
+  notes: notes.allow(""),
+});
+
+export const rejectReviewValidationSchema = Joi.object({
+  notes: notes.required().messages({
+    "string.empty": "Notes are required to reject a post",
+    "any.required": "Notes are required to reject a post",
+  }),
+});
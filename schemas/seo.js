@@ -0,0 +1,40 @@
+import Joi from "joi";
+import {
+  TWITTER_CARDS,
+  META_TITLE_LENGTH,
+  META_DESCRIPTION_LENGTH,
+} from "../utils/seo.js";
+
+// Search and social metadata of a post or category; empty fields are
+// derived from the document when the page is rendered
+export const seoValidationSchema = Joi.object({
+  metaTitle: Joi.string()
+    .trim()
+    .max(META_TITLE_LENGTH)
+    .allow("")
+    .messages({
+      "string.max": `Meta title cannot exceed ${META_TITLE_LENGTH} characters`,
+    }),
+  metaDescription: Joi.string()
+    .trim()
+    .max(META_DESCRIPTION_LENGTH)
+    .allow("")
+    .messages({
+      "string.max": `Meta description cannot exceed ${META_DESCRIPTION_LENGTH} characters`,
+    }),
+  canonicalUrl: Joi.string().uri().allow("").messages({
+    "string.uri": "Canonical URL must be a valid URL",
+  }),
+  ogImage: Joi.string().uri().allow("").messages({
+    "string.uri": "Open Graph image must be a valid URL",
+  }),
+  twitterCard: Joi.string()
+    .valid(...TWITTER_CARDS)
+    .allow(null)
+    .messages({
+      "any.only": `Twitter card must be one of ${TWITTER_CARDS.join(", ")}`,
+    }),
+  noindex: Joi.boolean().messages({
+    "boolean.base": "Noindex must be true or false",
+  }),
+});
@@ -0,0 +1,29 @@
+import Joi from "joi";
+import { SLUG_PATTERN } from "../utils/slug.js";
+
+export const seriesValidationSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(255).required().messages({
+    "string.empty": "Title cannot be empty",
+    "string.min": "Title must be at least 3 characters long",
+    "string.max": "Title cannot exceed 255 characters",
+    "any.required": "Title is required",
+  }),
+  slug: Joi.string().trim().max(255).pattern(SLUG_PATTERN).messages({
+    "string.pattern.base":
+      "Slug can only contain lowercase letters, numbers and single hyphens",
+    "string.max": "Slug cannot exceed 255 characters",
+  }),
+  description: Joi.string().trim().max(1000).allow("").messages({
+    "string.max": "Description cannot exceed 1000 characters",
+  }),
+  posts: Joi.array()
+    .items(
+      Joi.string()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .messages({ "string.pattern.base": "Invalid post ID" })
+    )
+    .unique()
+    .messages({
+      "array.unique": "A post can only appear once in a series",
+    }),
+});
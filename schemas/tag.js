@@ -0,0 +1,22 @@
+import Joi from "joi";
+
+export const tagValidationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(30).required().messages({
+    "string.empty": "Name cannot be empty",
+    "string.max": "Name cannot exceed 30 characters",
+    "any.required": "Name is required",
+  }),
+  description: Joi.string().trim().max(500).allow("").messages({
+    "string.max": "Description cannot exceed 500 characters",
+  }),
+});
+
+export const tagMergeValidationSchema = Joi.object({
+  into: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Invalid tag ID",
+      "any.required": "The tag to merge into is required",
+    }),
+});
@@ -0,0 +1,385 @@
+import fs from "fs/promises";
+import path from "path";
+import AdmZip from "adm-zip";
+import yaml from "js-yaml";
+import Post from "../models/post.model.js";
+import Category from "../models/category.model.js";
+import Comment from "../models/comment.model.js";
+import User from "../models/user.model.js";
+import { splitFrontMatter } from "./importer.js";
+
+export const BACKUP_VERSION = 1;
+
+const UPLOADS_DIR = "./uploads";
+
+// What the manifest keeps of each item. Posts keep what ties them to the
+// rest of the blog there, their text is in their Markdown file.
+const POST_FIELDS = [
+  "category",
+  "author",
+  "status",
+  "publishAt",
+  "translationGroup",
+  "featured",
+  "featuredOrder",
+  "featuredUntil",
+  "pinned",
+  "views",
+  "importKey",
+  "review",
+  "seo",
+  "createdAt",
+  "updatedAt",
+];
+const CATEGORY_FIELDS = [
+  "name",
+  "description",
+  "translations",
+  "slug",
+  "seo",
+  "createdAt",
+  "updatedAt",
+];
+const COMMENT_FIELDS = [
+  "post",
+  "user",
+  "content",
+  "likes",
+  "parentComment",
+  "createdAt",
+  "updatedAt",
+];
+
+// Lists a backup's manifest is made of
+const MANIFEST_LISTS = ["users", "categories", "posts", "comments", "media"];
+
+const pick = (doc, fields) => ({
+  id: doc._id,
+  ...Object.fromEntries(fields.map((field) => [field, doc[field]])),
+});
+
+const uploadsUrl = (appUrl) => `${appUrl}/uploads/`;
+
+// A media file name the uploads folder can hold: no folders, and not
+// empty or made of dots only
+const isMediaName = (name) =>
+  typeof name === "string" && !/[/\\]/.test(name) && !/^\.*$/.test(name);
+
+/**
+ * @desc The file of an archive at a path, or null when missing or a folder
+ */
+const fileEntry = (zip, name) => {
+  const entry = zip.getEntry(name);
+  return entry && !entry.isDirectory ? entry : null;
+};
+
+/**
+ * @desc A post as a Markdown file with YAML front matter, in the format
+ * the post import reads
+ */
+const toMarkdown = (post, category) => {
+  const meta = {
+    title: post.title,
+    slug: post.slug,
+    description: post.description,
+    category: category?.name,
+    tags: post.tags,
+    date: post.createdAt,
+    updated: post.updatedAt,
+    thumbnail: post.thumbnail || undefined,
+    locale: post.locale,
+    contentFormat: post.contentFormat,
+    draft: post.status === "draft" || undefined,
+  };
+  return `---\n${yaml.dump(meta, { skipInvalid: true })}---\n\n${
+    post.content
+  }\n`;
+};
+
+/**
+ * @desc Build a zip archive of the blog: each post as Markdown with front
+ * matter under posts/, uploaded files under media/, and a manifest.json
+ * holding the categories, the comments, the users they refer to and what
+ * ties the posts to them. Trashed items are left out.
+ * @returns {Promise<{buffer: Buffer, counts: Object}>}
+ */
+export const createBackup = async () => {
+  const [categories, posts, comments] = await Promise.all([
+    Category.find().lean(),
+    Post.find().lean(),
+    Comment.find().lean(),
+  ]);
+
+  const userIds = new Set(
+    [
+      ...posts.map((post) => post.author),
+      ...comments.flatMap((comment) => [comment.user, ...comment.likes]),
+    ].map(String)
+  );
+  const users = await User.find({ _id: { $in: [...userIds] } })
+    .setOptions({ withDeleted: true })
+    .select("email fullName")
+    .lean();
+
+  const zip = new AdmZip();
+  const categoriesById = new Map(
+    categories.map((category) => [String(category._id), category])
+  );
+
+  const postEntries = posts.map((post) => {
+    const file = `posts/${post.slug || post._id}.md`;
+    zip.addFile(
+      file,
+      Buffer.from(
+        toMarkdown(post, categoriesById.get(String(post.category))),
+        "utf8"
+      )
+    );
+    return {
+      file,
+      ...pick(post, POST_FIELDS),
+    };
+  });
+
+  let media = [];
+  try {
+    media = (await fs.readdir(UPLOADS_DIR, { withFileTypes: true }))
+      .filter((entry) => entry.isFile() && !entry.name.startsWith("."))
+      .map((entry) => entry.name);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  for (const name of media) {
+    zip.addFile(
+      `media/${name}`,
+      await fs.readFile(path.join(UPLOADS_DIR, name))
+    );
+  }
+
+  const manifest = {
+    version: BACKUP_VERSION,
+    createdAt: new Date(),
+    // Lets a restore on another host rewrite links to uploaded files
+    appUrl: process.env.APP_URL || null,
+    users: users.map(({ _id, email, fullName }) => ({
+      id: _id,
+      email,
+      fullName,
+    })),
+    categories: categories.map((category) => pick(category, CATEGORY_FIELDS)),
+    posts: postEntries,
+    comments: comments.map((comment) => pick(comment, COMMENT_FIELDS)),
+    media,
+  };
+  zip.addFile("manifest.json", Buffer.from(JSON.stringify(manifest, null, 2)));
+
+  return {
+    buffer: zip.toBuffer(),
+    counts: {
+      categories: categories.length,
+      posts: posts.length,
+      comments: comments.length,
+      media: media.length,
+    },
+  };
+};
+
+/**
+ * @desc Find a document by ID, trashed or not, or start a new one with
+ * that ID
+ */
+const findOrNew = async (Model, id) =>
+  (await Model.findById(id).setOptions({ withDeleted: true })) ||
+  new Model({ _id: id });
+
+/**
+ * @desc Save a restored document with its original dates, taking it out of
+ * the trash if it was there
+ */
+const saveRestored = (doc, { createdAt, updatedAt }) => {
+  doc.set({ deletedAt: null, deletedBy: null, createdAt, updatedAt });
+  return doc.save({ timestamps: false });
+};
+
+/**
+ * @desc Open a backup made by createBackup, checking that every file its
+ * manifest lists is in it
+ * @param {Buffer} buffer - The zip archive
+ * @returns {{zip: AdmZip, manifest: Object}}
+ */
+export const readBackup = (buffer) => {
+  const zip = new AdmZip(buffer);
+  const manifestEntry = zip.getEntry("manifest.json");
+  if (!manifestEntry) {
+    throw new Error("Not a backup: manifest.json is missing");
+  }
+  const manifest = JSON.parse(manifestEntry.getData().toString("utf8"));
+  if (manifest.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version ${manifest.version}`);
+  }
+  if (!MANIFEST_LISTS.every((key) => Array.isArray(manifest[key]))) {
+    throw new Error("Not a backup: manifest.json is incomplete");
+  }
+
+  // Checked up front, so a broken archive is refused before anything of it
+  // is restored
+  const missingPost = manifest.posts.find(
+    (item) => typeof item.file !== "string" || !fileEntry(zip, item.file)
+  );
+  if (missingPost) {
+    throw new Error(`The file of post ${missingPost.id} is missing`);
+  }
+  const badMedia = manifest.media.find(
+    (name) => !isMediaName(name) || !fileEntry(zip, `media/${name}`)
+  );
+  if (badMedia !== undefined) {
+    throw new Error(`Invalid or missing media file "${badMedia}"`);
+  }
+  return { zip, manifest };
+};
+
+/**
+ * @desc Restore an opened backup. Items are matched by ID: existing ones
+ * are overwritten with their backed up state, missing ones are created,
+ * and nothing else is removed. Users are not part of backups; they are
+ * matched by email. Posts by unknown authors are given to the admin
+ * restoring the backup, while comments by unknown users, or on posts that
+ * could not be restored, are skipped.
+ * @param {{zip: AdmZip, manifest: Object}} backup - From readBackup
+ * @param {ObjectId} restoredBy - The admin restoring the backup
+ * @returns {Promise<Object>} A report of what was restored
+ */
+export const restoreBackup = async ({ zip, manifest }, restoredBy) => {
+  const report = {
+    categories: { restored: 0, failed: 0 },
+    posts: { restored: 0, reassigned: 0, failed: 0 },
+    comments: { restored: 0, skipped: 0, failed: 0 },
+    media: { restored: 0 },
+    failures: [],
+  };
+  const fail = (type, id, error) => {
+    report[type].failed++;
+    report.failures.push({ type, id, error: error.message || String(error) });
+  };
+
+  // Links to uploaded files follow the blog to its new host
+  const rewriteUrls = (text) =>
+    manifest.appUrl && process.env.APP_URL && text
+      ? text
+          .split(uploadsUrl(manifest.appUrl))
+          .join(uploadsUrl(process.env.APP_URL))
+      : text;
+
+  const existingUsers = await User.find({
+    email: { $in: manifest.users.map((user) => user.email) },
+  }).select("email");
+  const userIdsByEmail = new Map(
+    existingUsers.map((user) => [user.email, user._id])
+  );
+  const users = new Map(
+    manifest.users
+      .filter((user) => userIdsByEmail.has(user.email))
+      .map((user) => [String(user.id), userIdsByEmail.get(user.email)])
+  );
+
+  const categories = new Map();
+  for (const item of manifest.categories) {
+    try {
+      // A category recreated since the backup is matched by its slug
+      const category =
+        (await Category.findById(item.id).setOptions({ withDeleted: true })) ||
+        (await Category.findOne({ slug: item.slug }).setOptions({
+          withDeleted: true,
+        })) ||
+        new Category({ _id: item.id });
+      category.set({
+        name: item.name,
+        description: item.description,
+        translations: item.translations,
+        slug: item.slug,
+        seo: item.seo,
+      });
+      await saveRestored(category, item);
+      categories.set(String(item.id), category._id);
+      report.categories.restored++;
+    } catch (error) {
+      fail("categories", item.id, error);
+    }
+  }
+
+  const posts = new Set();
+  for (const item of manifest.posts) {
+    try {
+      const { meta, content } = splitFrontMatter(
+        zip.getEntry(item.file).getData().toString("utf8")
+      );
+
+      const category = categories.get(String(item.category));
+      if (!category) {
+        throw new Error("The post's category could not be restored");
+      }
+      let author = users.get(String(item.author));
+      if (!author) {
+        author = restoredBy;
+        report.posts.reassigned++;
+      }
+
+      const post = await findOrNew(Post, item.id);
+      post.set({
+        ...Object.fromEntries(POST_FIELDS.map((field) => [field, item[field]])),
+        title: meta.title,
+        slug: meta.slug,
+        description: meta.description,
+        content: rewriteUrls(content),
+        contentFormat: meta.contentFormat,
+        tags: meta.tags || [],
+        thumbnail: rewriteUrls(meta.thumbnail) || "",
+        locale: meta.locale,
+        category,
+        author,
+      });
+      await saveRestored(post, item);
+      posts.add(String(item.id));
+      report.posts.restored++;
+    } catch (error) {
+      fail("posts", item.id, error);
+    }
+  }
+
+  for (const item of manifest.comments) {
+    const user = users.get(String(item.user));
+    if (!user || !posts.has(String(item.post))) {
+      report.comments.skipped++;
+      continue;
+    }
+
+    try {
+      const comment = await findOrNew(Comment, item.id);
+      comment.set({
+        post: item.post,
+        user,
+        content: item.content,
+        likes: item.likes
+          .map((like) => users.get(String(like)))
+          .filter(Boolean),
+        parentComment: item.parentComment,
+      });
+      await saveRestored(comment, item);
+      report.comments.restored++;
+    } catch (error) {
+      fail("comments", item.id, error);
+    }
+  }
+
+  await fs.mkdir(UPLOADS_DIR, { recursive: true });
+  for (const name of manifest.media) {
+    // Names were checked by readBackup to stay in the uploads folder
+    await fs.writeFile(
+      path.join(UPLOADS_DIR, name),
+      zip.getEntry(`media/${name}`).getData()
+    );
+    report.media.restored++;
+  }
+
+  return report;
+};
@@ -0,0 +1,32 @@
+/**
+ * @desc Create a small in-memory cache whose entries expire after a time-to-live
+ * @param {number} ttl - Lifetime of an entry in milliseconds
+ * @param {number} maxEntries - Oldest entries are dropped beyond this size
+ */
+export const createCache = (ttl, maxEntries = 500) => {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt < Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+  };
+};
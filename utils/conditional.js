@@ -0,0 +1,20 @@
+import crypto from "crypto";
+
+/**
+ * @desc Send a body with ETag and Last-Modified headers, answering 304
+ * without the body when the client's copy is still current
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ * @param {string} body - The response body
+ * @param {Date} lastModified - When the content last changed
+ */
+export const sendConditional = (req, res, body, lastModified) => {
+  res.set({
+    ETag: `"${crypto.createHash("sha1").update(body).digest("hex")}"`,
+    "Last-Modified": lastModified.toUTCString(),
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.status(200).send(body);
+};
@@ -0,0 +1,92 @@
+import { marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+import slugify from "slugify";
+import { normalizeText } from "./search.js";
+
+export const CONTENT_FORMATS = ["markdown", "html"];
+
+// Only markup needed for articles: no scripts, styles, forms, frames or
+// inline event handlers. Heading ids are generated, never taken from input.
+const sanitizeOptions = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    "img",
+    "del",
+    "ins",
+    "sup",
+    "sub",
+    "details",
+    "summary",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+    code: ["class"],
+    th: ["align", "colspan", "rowspan"],
+    td: ["align", "colspan", "rowspan"],
+    ol: ["start"],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowProtocolRelative: false,
+  transformTags: {
+    a: (tagName, attribs) =>
+      attribs.target === "_blank"
+        ? {
+            tagName,
+            attribs: { ...attribs, rel: "noopener noreferrer nofollow" },
+          }
+        : { tagName, attribs },
+  },
+};
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+
+/**
+ * @desc Give every heading a unique anchor id and collect the table of contents
+ * @param {string} html - Sanitized HTML
+ * @returns {{html: string, toc: Array<{level: number, text: string, id: string}>}}
+ */
+const addHeadingAnchors = (html) => {
+  const toc = [];
+  const used = new Map();
+
+  const anchored = html.replace(
+    /<h([1-6])>([\s\S]*?)<\/h\1>/g,
+    (match, level, inner) => {
+      const text = decodeEntities(inner.replace(/<[^>]*>/g, "")).trim();
+      const base =
+        slugify(normalizeText(text), { lower: true, strict: true }) ||
+        "section";
+
+      const count = used.get(base) || 0;
+      used.set(base, count + 1);
+      const id = count === 0 ? base : `${base}-${count}`;
+
+      toc.push({ level: Number(level), text, id });
+      return `<h${level} id="${id}">${inner}</h${level}>`;
+    }
+  );
+
+  return { html: anchored, toc };
+};
+
+/**
+ * @desc Render post content to sanitized HTML with a table of contents
+ * @param {string} source - The content as written by the editor
+ * @param {string} format - "markdown" or "html"
+ * @returns {{contentHtml: string, toc: Array<{level: number, text: string, id: string}>}}
+ */
+export const renderContent = (source = "", format = "html") => {
+  const raw = format === "markdown" ? marked.parse(source) : source;
+  const { html, toc } = addHeadingAnchors(sanitizeHtml(raw, sanitizeOptions));
+  return { contentHtml: html, toc };
+};
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+/**
+ * @desc Encode the position of the last item of a page as an opaque cursor
+ * @param {Object} item - The last document of the page
+ * @param {string} field - The field the listing is sorted by
+ * @returns {string} A base64url encoded cursor
+ */
+export const encodeCursor = (item, field) => {
+  const value = item[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: item._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * @desc Decode a cursor created by encodeCursor
+ * @param {string} cursor - The cursor sent by the client
+ * @returns {{value: *, id: ObjectId}|null} The position, or null when the cursor is invalid
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.isValidObjectId(payload.id)) {
+      return null;
+    }
+    // Only plain values are accepted, so a crafted cursor cannot smuggle a
+    // query operator such as {"$ne": null} into the filter
+    let value;
+    if (payload.d) {
+      value = typeof payload.v === "string" ? new Date(payload.v) : null;
+      if (!value || isNaN(value.getTime())) {
+        return null;
+      }
+    } else if (
+      typeof payload.v === "string" ||
+      (typeof payload.v === "number" && Number.isFinite(payload.v))
+    ) {
+      value = payload.v;
+    } else {
+      return null;
+    }
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @desc Query filter selecting the items after a cursor.
+ * Ties on the sort field are broken by _id, so pages never overlap.
+ * @param {string} field - The field the listing is sorted by
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @param {{value: *, id: ObjectId}} position - The decoded cursor
+ */
+export const cursorFilter = (field, direction, position) => {
+  const operator = direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      { [field]: { [operator]: position.value } },
+      { [field]: position.value, _id: { [operator]: position.id } },
+    ],
+  };
+};
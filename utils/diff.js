@@ -0,0 +1,119 @@
+// Largest table of common subsequence lengths built for a diff, in cells.
+// Past it, the changed block is shown as removed then added as a whole.
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+/**
+ * @desc Line-by-line diff of two strings (longest common subsequence)
+ * @param {string} from - The old text
+ * @param {string} to - The new text
+ * @returns {Array<{type: string, value: string}>} Lines marked as "equal", "added" or "removed"
+ */
+export const diffLines = (from = "", to = "") => {
+  const a = from.split("\n");
+  const b = to.split("\n");
+
+  // Lines shared at the start and end need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = a.slice(0, start).map((value) => ({ type: "equal", value }));
+  const n = endA - start;
+  const m = endB - start;
+
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    a.slice(start, endA).forEach((value) =>
+      changes.push({ type: "removed", value })
+    );
+    b.slice(start, endB).forEach((value) =>
+      changes.push({ type: "added", value })
+    );
+  } else {
+    // lcs[i * (m + 1) + j] = length of the common subsequence of the
+    // changed lines of a from i and of b from j
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    const at = (i, j) => lcs[i * (m + 1) + j];
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] =
+          a[start + i] === b[start + j]
+            ? at(i + 1, j + 1) + 1
+            : Math.max(at(i + 1, j), at(i, j + 1));
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        changes.push({ type: "equal", value: a[start + i] });
+        i++;
+        j++;
+      } else if (at(i + 1, j) >= at(i, j + 1)) {
+        changes.push({ type: "removed", value: a[start + i++] });
+      } else {
+        changes.push({ type: "added", value: b[start + j++] });
+      }
+    }
+    while (i < n) changes.push({ type: "removed", value: a[start + i++] });
+    while (j < m) changes.push({ type: "added", value: b[start + j++] });
+  }
+
+  a.slice(endA).forEach((value) => changes.push({ type: "equal", value }));
+  return changes;
+};
+
+/**
+ * @desc Field-level diff between two snapshots
+ * @param {Object} from - The old snapshot
+ * @param {Object} to - The new snapshot
+ * @param {string[]} fields - The fields to compare
+ * @returns {Object} One entry per field with its old and new value
+ */
+export const diffFields = (from, to, fields) => {
+  const result = {};
+
+  fields.forEach((field) => {
+    const oldValue = from[field];
+    const newValue = to[field];
+
+    if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+      const oldItems = [...(oldValue || [])];
+      const newItems = [...(newValue || [])];
+      const added = newItems.filter((item) => !oldItems.includes(item));
+      const removed = oldItems.filter((item) => !newItems.includes(item));
+
+      result[field] = {
+        changed:
+          added.length > 0 ||
+          removed.length > 0 ||
+          oldItems.join("\n") !== newItems.join("\n"),
+        from: oldItems,
+        to: newItems,
+        added,
+        removed,
+      };
+      return;
+    }
+
+    const changed = (oldValue ?? "") !== (newValue ?? "");
+    result[field] = { changed, from: oldValue, to: newValue };
+
+    if (
+      changed &&
+      typeof oldValue === "string" &&
+      typeof newValue === "string"
+    ) {
+      result[field].lines = diffLines(oldValue, newValue);
+    }
+  });
+
+  return result;
+};
@@ -0,0 +1,116 @@
+import { escapeXml, lines } from "./xml.js";
+
+/**
+ * @desc Render an RSS 2.0 feed. Authors go in dc:creator, since RSS only
+ * has room for their email, and thumbnails in media:thumbnail.
+ */
+const renderRss = (feed) =>
+  lines(
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">`,
+    `  <channel>`,
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <language>${escapeXml(feed.locale)}</language>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(
+      feed.selfUrl
+    )}" rel="self" type="application/rss+xml"/>`,
+    ...feed.items.map((item) =>
+      lines(
+        `    <item>`,
+        `      <title>${escapeXml(item.title)}</title>`,
+        `      <link>${escapeXml(item.url)}</link>`,
+        `      <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+        `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+        `      <description>${escapeXml(item.summary)}</description>`,
+        item.author &&
+          `      <dc:creator>${escapeXml(item.author)}</dc:creator>`,
+        item.category &&
+          `      <category>${escapeXml(item.category.name)}</category>`,
+        item.image && `      <media:thumbnail url="${escapeXml(item.image)}"/>`,
+        `    </item>`
+      )
+    ),
+    `  </channel>`,
+    `</rss>`
+  );
+
+/**
+ * @desc Render an Atom feed
+ */
+const renderAtom = (feed) =>
+  lines(
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xml:lang="${escapeXml(
+      feed.locale
+    )}">`,
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(
+      feed.selfUrl
+    )}"/>`,
+    ...feed.items.map((item) =>
+      lines(
+        `  <entry>`,
+        `    <id>${escapeXml(item.url)}</id>`,
+        `    <title>${escapeXml(item.title)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(
+          item.url
+        )}"/>`,
+        `    <published>${item.published.toISOString()}</published>`,
+        `    <updated>${item.updated.toISOString()}</updated>`,
+        `    <summary>${escapeXml(item.summary)}</summary>`,
+        item.author &&
+          `    <author><name>${escapeXml(item.author)}</name></author>`,
+        item.category &&
+          `    <category term="${escapeXml(
+            item.category.slug
+          )}" label="${escapeXml(item.category.name)}"/>`,
+        item.image && `    <media:thumbnail url="${escapeXml(item.image)}"/>`,
+        `  </entry>`
+      )
+    ),
+    `</feed>`
+  );
+
+/**
+ * @desc Render a JSON Feed 1.1. The category has no place of its own in
+ * the format, so it is given in a _category extension.
+ */
+const renderJson = (feed) =>
+  JSON.stringify(
+    {
+      version: "https://jsonfeed.org/version/1.1",
+      title: feed.title,
+      home_page_url: feed.link,
+      feed_url: feed.selfUrl,
+      description: feed.description,
+      language: feed.locale,
+      items: feed.items.map((item) => ({
+        id: item.url,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        image: item.image || undefined,
+        date_published: item.published.toISOString(),
+        date_modified: item.updated.toISOString(),
+        authors: item.author ? [{ name: item.author }] : undefined,
+        tags: item.tags.length > 0 ? item.tags : undefined,
+        _category: item.category || undefined,
+      })),
+    },
+    null,
+    2
+  );
+
+// Supported feed formats, by the name used in feed URLs
+export const FEED_FORMATS = {
+  rss: { contentType: "application/rss+xml", render: renderRss },
+  atom: { contentType: "application/atom+xml", render: renderAtom },
+  json: { contentType: "application/feed+json", render: renderJson },
+};
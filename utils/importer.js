@@ -0,0 +1,274 @@
+import path from "path";
+import AdmZip from "adm-zip";
+import { XMLParser } from "fast-xml-parser";
+import yaml from "js-yaml";
+import sanitizeHtml from "sanitize-html";
+import { renderContent } from "./content.js";
+import { toLocale } from "./locale.js";
+
+// Guards against archives that unpack to far more than was uploaded
+export const MAX_IMPORT_ENTRIES = 2000;
+const MAX_UNPACKED_BYTES = 100 * 1024 * 1024;
+
+const DESCRIPTION_LENGTH = 200;
+const TAG_LENGTH = 30;
+
+// Elements WordPress repeats, parsed as arrays even when there is only one
+const WXR_ARRAYS = ["item", "category", "wp:postmeta"];
+
+const WXR_STATUSES = {
+  publish: "published",
+  future: "scheduled",
+  draft: "draft",
+  pending: "draft",
+  private: "draft",
+};
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/;
+
+/**
+ * @desc Plain text of some content, cut to fit a post description
+ */
+const excerptOf = (content, format) => {
+  const { contentHtml } = renderContent(content, format);
+  const text = sanitizeHtml(contentHtml, {
+    allowedTags: [],
+    allowedAttributes: {},
+  })
+    .replace(/\s+/g, " ")
+    .trim();
+  if (text.length <= DESCRIPTION_LENGTH) return text;
+  return `${text.slice(0, DESCRIPTION_LENGTH - 1).trimEnd()}…`;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toList = (value) => {
+  if (value == null) return [];
+  if (Array.isArray(value)) return value.map(String);
+  return String(value).split(",");
+};
+
+const cleanTags = (tags) => [
+  ...new Set(
+    tags.map((tag) => tag.trim().slice(0, TAG_LENGTH)).filter(Boolean)
+  ),
+];
+
+// Text of an element, whether or not the parser kept its attributes
+const textOf = (node) =>
+  node && typeof node === "object"
+    ? String(node["#text"] ?? "")
+    : String(node ?? "");
+
+/**
+ * @desc WordPress dates are written "2024-01-31 08:00:00"; drafts carry
+ * "0000-00-00 00:00:00" instead
+ */
+const wordpressDate = (value, utc) => {
+  const text = textOf(value).trim();
+  if (!text || text.startsWith("0000")) return null;
+  return toDate(`${text.replace(" ", "T")}${utc ? "Z" : ""}`);
+};
+
+/**
+ * @desc Read the posts of a WordPress export (WXR). Pages, attachments and
+ * other post types are left out; attachments are only used to find the
+ * URL of each post's featured image.
+ * @param {Buffer} buffer - The export file
+ * @returns {Array<Object>} Entries with a source key and post fields
+ */
+export const parseWordpress = (buffer) => {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "",
+    parseTagValue: false,
+    isArray: (name) => WXR_ARRAYS.includes(name),
+  });
+  const document = parser.parse(buffer.toString("utf8"));
+  const items = document?.rss?.channel?.item;
+  if (!items) {
+    throw new Error("Not a WordPress export: no items found");
+  }
+
+  const attachments = new Map(
+    items
+      .filter((item) => textOf(item["wp:post_type"]) === "attachment")
+      .map((item) => [
+        textOf(item["wp:post_id"]),
+        textOf(item["wp:attachment_url"]),
+      ])
+  );
+
+  const posts = items.filter(
+    (item) =>
+      textOf(item["wp:post_type"]) === "post" &&
+      textOf(item["wp:status"]) !== "trash"
+  );
+  if (posts.length > MAX_IMPORT_ENTRIES) {
+    throw new Error(`The export holds more than ${MAX_IMPORT_ENTRIES} posts`);
+  }
+
+  return posts.map((item) => {
+    const source = textOf(item.guid) || textOf(item["wp:post_id"]);
+    const categories = item.category || [];
+    const byDomain = (domain) =>
+      categories.filter((category) => category.domain === domain);
+    const [category] = byDomain("category");
+    const thumbnailId = (item["wp:postmeta"] || []).find(
+      (meta) => textOf(meta["wp:meta_key"]) === "_thumbnail_id"
+    );
+    const content = textOf(item["content:encoded"]);
+
+    return {
+      key: `wordpress:${source}`,
+      source,
+      fields: {
+        title: textOf(item.title).trim(),
+        slug: textOf(item["wp:post_name"]) || undefined,
+        description:
+          sanitizeHtml(textOf(item["excerpt:encoded"]), {
+            allowedTags: [],
+            allowedAttributes: {},
+          }).trim() || excerptOf(content, "html"),
+        content,
+        contentFormat: "html",
+        category: category && {
+          name: textOf(category).trim(),
+          slug: category.nicename,
+        },
+        tags: cleanTags(byDomain("post_tag").map(textOf)),
+        thumbnail:
+          (thumbnailId &&
+            attachments.get(textOf(thumbnailId["wp:meta_value"]))) ||
+          "",
+        status: WXR_STATUSES[textOf(item["wp:status"])] || "draft",
+        date:
+          wordpressDate(item["wp:post_date_gmt"], true) ||
+          wordpressDate(item["wp:post_date"], false) ||
+          toDate(textOf(item.pubDate)),
+        modified:
+          wordpressDate(item["wp:post_modified_gmt"], true) ||
+          wordpressDate(item["wp:post_modified"], false),
+      },
+    };
+  });
+};
+
+/**
+ * @desc Split a Markdown file into its YAML front matter and its body
+ * @param {string} text - The file contents
+ * @returns {{meta: Object, content: string}}
+ */
+export const splitFrontMatter = (text) => {
+  const match = FRONT_MATTER.exec(text.replace(/^\uFEFF/, ""));
+  if (!match) {
+    throw new Error("Missing front matter");
+  }
+
+  const meta = yaml.load(match[1]) || {};
+  if (typeof meta !== "object" || Array.isArray(meta)) {
+    throw new Error("Front matter is not a mapping");
+  }
+  return { meta, content: match[2].trim() };
+};
+
+/**
+ * @desc Turn a Markdown file with YAML front matter into post fields.
+ * Understands the keys common to static site generators: title,
+ * description (or excerpt, summary), tags, category (or the first of
+ * categories), date, updated (or lastmod), thumbnail (or image, cover),
+ * slug, locale (or lang) and draft.
+ */
+const markdownFields = (text) => {
+  const { meta, content } = splitFrontMatter(text);
+  const category = meta.category ?? toList(meta.categories)[0];
+  const date = toDate(meta.date);
+
+  let status = "published";
+  if (meta.draft === true) {
+    status = "draft";
+  } else if (date && date > new Date()) {
+    status = "scheduled";
+  }
+
+  return {
+    title: String(meta.title ?? "").trim(),
+    slug: meta.slug ? String(meta.slug) : undefined,
+    description:
+      String(meta.description ?? meta.excerpt ?? meta.summary ?? "").trim() ||
+      excerptOf(content, "markdown"),
+    content,
+    contentFormat: "markdown",
+    category: category && { name: String(category).trim() },
+    tags: cleanTags(toList(meta.tags)),
+    thumbnail: String(meta.thumbnail ?? meta.image ?? meta.cover ?? ""),
+    locale: toLocale(meta.locale ?? meta.lang) || undefined,
+    status,
+    date,
+    modified: toDate(meta.updated ?? meta.lastmod),
+  };
+};
+
+/**
+ * @desc Read the Markdown files of a zip archive, in any folder
+ * @param {Buffer} buffer - The zip archive
+ * @returns {Array<Object>} Entries with a source key and either post
+ * fields or the error that made the file unreadable
+ */
+export const parseMarkdownZip = (buffer) => {
+  const files = new AdmZip(buffer)
+    .getEntries()
+    .filter(
+      (entry) =>
+        !entry.isDirectory &&
+        /\.(md|markdown)$/i.test(entry.entryName) &&
+        !entry.entryName.startsWith("__MACOSX/") &&
+        !path.posix.basename(entry.entryName).startsWith(".")
+    );
+
+  if (files.length > MAX_IMPORT_ENTRIES) {
+    throw new Error(
+      `The archive holds more than ${MAX_IMPORT_ENTRIES} Markdown files`
+    );
+  }
+  const unpacked = files.reduce((total, entry) => total + entry.header.size, 0);
+  if (unpacked > MAX_UNPACKED_BYTES) {
+    throw new Error("The archive is too large once unpacked");
+  }
+
+  return files.map((entry) => {
+    const source = path.posix.normalize(entry.entryName);
+    try {
+      return {
+        key: `markdown:${source}`,
+        source,
+        fields: markdownFields(entry.getData().toString("utf8")),
+      };
+    } catch (error) {
+      return { key: `markdown:${source}`, source, error: error.message };
+    }
+  });
+};
+
+/**
+ * @desc Read an uploaded export, telling the format from the file
+ * @param {Object} file - The file uploaded with multer's memory storage
+ * @returns {{format: string, entries: Array<Object>}}
+ */
+export const parseImport = (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (extension === ".zip") {
+    return { format: "markdown", entries: parseMarkdownZip(file.buffer) };
+  }
+  if (extension === ".xml") {
+    return { format: "wordpress", entries: parseWordpress(file.buffer) };
+  }
+  throw new Error(
+    "Upload a WordPress export (.xml) or a zip of Markdown files"
+  );
+};
@@ -0,0 +1,24 @@
+/**
+ * @desc Name of the blog, shown in feeds and page titles
+ */
+export const siteName = () => process.env.SITE_NAME || "blulog";
+
+const trimSlash = (url) => (url || "").trim().replace(/\/+$/, "");
+
+/**
+ * @desc URL of a page of the public site, on the first CLIENT_URL origin
+ * @param {string} pathname - Path of the page, starting with a slash
+ */
+export const siteUrl = (pathname = "") =>
+  `${trimSlash((process.env.CLIENT_URL || "").split(",")[0])}${pathname}`;
+
+/**
+ * @desc URL of an API endpoint
+ * @param {string} pathname - Path of the endpoint, starting with a slash
+ */
+export const apiUrl = (pathname = "") =>
+  `${trimSlash(process.env.APP_URL)}${pathname}`;
+
+export const postUrl = (slug) => siteUrl(`/posts/${slug}`);
+export const categoryUrl = (slug) => siteUrl(`/categories/${slug}`);
+export const tagUrl = (slug) => siteUrl(`/tags/${slug}`);
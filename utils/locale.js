@@ -0,0 +1,51 @@
+// Locales posts and categories can be written in
+export const SUPPORTED_LOCALES = (process.env.SUPPORTED_LOCALES || "vi,en")
+  .split(",")
+  .map((locale) => locale.trim().toLowerCase())
+  .filter(Boolean);
+
+// Served when a reader asks for no locale, or for one an article lacks
+export const DEFAULT_LOCALE =
+  process.env.DEFAULT_LOCALE || SUPPORTED_LOCALES[0];
+
+/**
+ * @desc Map a language tag such as "en-US" to a supported locale
+ * @returns {string|null} The supported locale, or null
+ */
+export const toLocale = (tag) => {
+  if (typeof tag !== "string") return null;
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+/**
+ * @desc The locale a request asks for, from the locale query parameter or
+ * else the Accept-Language header, in order of preference
+ * @param {Request} req - The Express request
+ * @returns {string|null} A supported locale, or null when none is asked for
+ */
+export const requestedLocale = (req) => {
+  // A repeated or nested parameter comes as an array or object: ignored
+  if (typeof req.query.locale === "string" && req.query.locale) {
+    return toLocale(req.query.locale);
+  }
+
+  const header = req.headers["accept-language"];
+  if (!header) return null;
+
+  const ranked = header
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.split(";");
+      const q = params.find((param) => param.trim().startsWith("q="));
+      return { tag, weight: q ? parseFloat(q.trim().slice(2)) : 1 };
+    })
+    .filter(({ weight }) => weight > 0)
+    .sort((a, b) => b.weight - a.weight);
+
+  for (const { tag } of ranked) {
+    const locale = toLocale(tag);
+    if (locale) return locale;
+  }
+  return null;
+};
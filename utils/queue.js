@@ -0,0 +1,294 @@
+import { getRedis } from "../config/redis.js";
+
+// Redis keys: job hashes, the dead-letter list of jobs that used up their
+// attempts, and for each job name a sorted set of jobs to run scored by due
+// time and a sorted set of running jobs scored by lease expiry. Each name
+// has its own line, so slow jobs never hold up the others.
+const PREFIX = "jobs";
+const KEYS = {
+  ids: `${PREFIX}:ids`,
+  failed: `${PREFIX}:failed`,
+};
+const jobKey = (id) => `${PREFIX}:job:${id}`;
+const waitingKey = (name) => `${PREFIX}:waiting:${name}`;
+const activeKey = (name) => `${PREFIX}:active:${name}`;
+
+const DEFAULT_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 10 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// A job whose lease was not renewed for this long is assumed lost with its
+// worker. Running jobs renew it much more often, so they are never run twice.
+const LEASE_MS = 5 * 60 * 1000;
+const LEASE_RENEW_MS = 60 * 1000;
+
+// Move the first due job to the running set, so only one worker gets it
+const CLAIM_SCRIPT = `
+local ids = redis.call("ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1], "LIMIT", 0, 1)
+if #ids == 0 then return false end
+redis.call("ZREM", KEYS[1], ids[1])
+redis.call("ZADD", KEYS[2], ARGV[2], ids[1])
+return ids[1]
+`;
+
+// Put jobs whose lease expired back in line
+const RECOVER_SCRIPT = `
+local ids = redis.call("ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1])
+for _, id in ipairs(ids) do
+  redis.call("ZREM", KEYS[1], id)
+  redis.call("ZADD", KEYS[2], ARGV[1], id)
+end
+return #ids
+`;
+
+const definitions = new Map();
+
+/**
+ * @desc Register the handler of a named job
+ * @param {Object} job
+ * @param {string} job.name - Name used to enqueue the job
+ * @param {Function} job.handler - Async function receiving the job data; throwing fails the attempt
+ * @param {number} job.attempts - Attempts before the job goes to the dead-letter list
+ * @param {number} job.backoff - Delay before the first retry in ms, doubled on each retry
+ * @param {number} job.concurrency - Jobs of this name each worker runs at once
+ */
+export const defineJob = ({
+  name,
+  handler,
+  attempts = DEFAULT_ATTEMPTS,
+  backoff = DEFAULT_BACKOFF_MS,
+  concurrency = 1,
+}) => {
+  definitions.set(name, { handler, attempts, backoff, concurrency });
+};
+
+/**
+ * @desc Queue a job to run in the background
+ * @param {string} name - Name of a registered job
+ * @param {Object} data - JSON-serializable job data
+ * @param {Object} options
+ * @param {number} options.delay - Milliseconds to wait before running the job
+ * @returns {Promise<string>} The job ID
+ */
+export const enqueue = async (name, data = {}, { delay = 0 } = {}) => {
+  const definition = definitions.get(name);
+  if (!definition) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+
+  const redis = getRedis();
+  const id = String(await redis.incr(KEYS.ids));
+  const now = Date.now();
+
+  await redis
+    .multi()
+    .hset(jobKey(id), {
+      name,
+      data: JSON.stringify(data),
+      attempts: 0,
+      maxAttempts: definition.attempts,
+      createdAt: now,
+      runAt: now + delay,
+    })
+    .zadd(waitingKey(name), now + delay, id)
+    .exec();
+
+  return id;
+};
+
+const toJob = (id, hash) => ({
+  id,
+  name: hash.name,
+  data: JSON.parse(hash.data || "{}"),
+  attempts: Number(hash.attempts),
+  maxAttempts: Number(hash.maxAttempts),
+  createdAt: new Date(Number(hash.createdAt)),
+  runAt: new Date(Number(hash.runAt)),
+  failedAt: hash.failedAt ? new Date(Number(hash.failedAt)) : null,
+  lastError: hash.lastError || null,
+});
+
+/**
+ * @desc Run a claimed job, then remove it, schedule a retry with
+ * exponential backoff, or move it to the dead-letter list. Its lease is
+ * renewed while it runs.
+ */
+const runJob = async (redis, name, id) => {
+  const hash = await redis.hgetall(jobKey(id));
+  if (!hash.name) {
+    // Discarded while waiting
+    await redis.zrem(activeKey(name), id);
+    return;
+  }
+
+  const job = toJob(id, hash);
+  const definition = definitions.get(name);
+  const attempts = job.attempts + 1;
+
+  // XX only renews a lease still held
+  const renewal = setInterval(() => {
+    redis
+      .zadd(activeKey(name), "XX", Date.now() + LEASE_MS, id)
+      .catch((error) =>
+        console.error(`❌ Job ${name}#${id} lease renewal:`, error.message)
+      );
+  }, LEASE_RENEW_MS);
+
+  try {
+    await definition.handler(job.data, { id, attempts });
+    await redis.multi().zrem(activeKey(name), id).del(jobKey(id)).exec();
+  } catch (error) {
+    const lastError = error.message || String(error);
+    const transaction = redis
+      .multi()
+      .zrem(activeKey(name), id)
+      .hset(jobKey(id), { attempts, lastError });
+
+    if (attempts >= job.maxAttempts) {
+      console.error(`❌ Job ${job.name}#${id} failed for good: ${lastError}`);
+      transaction
+        .hset(jobKey(id), { failedAt: Date.now() })
+        .lpush(KEYS.failed, id);
+    } else {
+      const delay = Math.min(
+        definition.backoff * 2 ** (attempts - 1),
+        MAX_BACKOFF_MS
+      );
+      const runAt = Date.now() + delay;
+      transaction.hset(jobKey(id), { runAt }).zadd(waitingKey(name), runAt, id);
+    }
+    await transaction.exec();
+  } finally {
+    clearInterval(renewal);
+  }
+};
+
+/**
+ * @desc Poll the queue and run due jobs. Every registered job name gets as
+ * many lanes as its concurrency, each running one job at a time.
+ * @param {Object} options
+ * @param {number} options.interval - Milliseconds between polls when idle
+ * @returns {Function} Stops the worker
+ */
+export const startWorker = ({ interval = 1000 } = {}) => {
+  const redis = getRedis();
+  let stopped = false;
+  const timers = new Set();
+
+  const lane = (name) => {
+    const poll = async () => {
+      try {
+        await redis.eval(
+          RECOVER_SCRIPT,
+          2,
+          activeKey(name),
+          waitingKey(name),
+          Date.now()
+        );
+
+        let id;
+        while (
+          !stopped &&
+          (id = await redis.eval(
+            CLAIM_SCRIPT,
+            2,
+            waitingKey(name),
+            activeKey(name),
+            Date.now(),
+            Date.now() + LEASE_MS
+          ))
+        ) {
+          await runJob(redis, name, id);
+        }
+      } catch (error) {
+        console.error(`❌ Job worker error (${name}):`, error.message);
+      }
+
+      if (!stopped) {
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          poll();
+        }, interval);
+        timers.add(timer);
+      }
+    };
+    poll();
+  };
+
+  definitions.forEach(({ concurrency }, name) => {
+    for (let i = 0; i < concurrency; i++) lane(name);
+  });
+
+  return () => {
+    stopped = true;
+    timers.forEach(clearTimeout);
+  };
+};
+
+/**
+ * @desc Number of jobs in each state
+ */
+export const countJobs = async () => {
+  const redis = getRedis();
+  const now = Date.now();
+  const names = [...definitions.keys()];
+  const [byName, failed] = await Promise.all([
+    Promise.all(
+      names.map((name) =>
+        Promise.all([
+          redis.zcount(waitingKey(name), "-inf", now),
+          redis.zcount(waitingKey(name), `(${now}`, "+inf"),
+          redis.zcard(activeKey(name)),
+        ])
+      )
+    ),
+    redis.llen(KEYS.failed),
+  ]);
+  const sum = (index) =>
+    byName.reduce((total, counts) => total + counts[index], 0);
+  return { waiting: sum(0), delayed: sum(1), active: sum(2), failed };
+};
+
+/**
+ * @desc Jobs in the dead-letter list, most recent failures first
+ * @param {number} offset - Number of jobs to skip
+ * @param {number} limit - Number of jobs to return
+ */
+export const failedJobs = async (offset = 0, limit = 20) => {
+  const redis = getRedis();
+  const ids = await redis.lrange(KEYS.failed, offset, offset + limit - 1);
+  const hashes = await Promise.all(ids.map((id) => redis.hgetall(jobKey(id))));
+  return ids.map((id, index) => toJob(id, hashes[index]));
+};
+
+/**
+ * @desc Move a failed job back in line with a fresh set of attempts
+ * @returns {Promise<boolean>} Whether the job was in the dead-letter list
+ */
+export const retryJob = async (id) => {
+  const redis = getRedis();
+  const removed = await redis.lrem(KEYS.failed, 0, id);
+  if (!removed) return false;
+
+  const name = await redis.hget(jobKey(id), "name");
+  const now = Date.now();
+  await redis
+    .multi()
+    .hset(jobKey(id), { attempts: 0, runAt: now })
+    .hdel(jobKey(id), "failedAt")
+    .zadd(waitingKey(name), now, id)
+    .exec();
+  return true;
+};
+
+/**
+ * @desc Delete a failed job for good
+ * @returns {Promise<boolean>} Whether the job was in the dead-letter list
+ */
+export const discardJob = async (id) => {
+  const redis = getRedis();
+  const removed = await redis.lrem(KEYS.failed, 0, id);
+  if (!removed) return false;
+
+  await redis.del(jobKey(id));
+  return true;
+};
@@ -0,0 +1,98 @@
+import Post from "../models/post.model.js";
+import PostRead from "../models/post-read.model.js";
+
+// How much each signal counts towards the score
+const WEIGHTS = {
+  sharedTag: 3,
+  sameCategory: 2,
+  coReadership: 4,
+  recency: 2,
+};
+
+// Recency counts half as much for a post this many days old
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+// Most recent posts sharing tags or category that are considered
+const MAX_CANDIDATES = 200;
+
+const postFields =
+  "title slug description thumbnail category tags author publishAt createdAt";
+
+/**
+ * @desc Score other published posts against a post, by shared tags, same
+ * category, recency and what its readers went on to read
+ * @param {Document} post - The post being read
+ * @param {number} limit - Maximum number of related posts
+ * @returns {Promise<Array<Object>>} Related posts, best first, each with its score
+ */
+export const findRelatedPosts = async (post, limit) => {
+  const categoryId = post.category?._id || post.category;
+
+  const [candidates, readNext] = await Promise.all([
+    Post.find({
+      _id: { $ne: post._id },
+      $and: [
+        Post.publishedFilter(),
+        { $or: [{ tags: { $in: post.tags } }, { category: categoryId }] },
+      ],
+    })
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .select(postFields),
+    PostRead.readNext(post._id),
+  ]);
+
+  // Posts only found through co-readership still have to be published
+  const known = new Set(candidates.map(({ _id }) => _id.toString()));
+  const missing = readNext
+    .map(({ _id }) => _id)
+    .filter((id) => !known.has(id.toString()));
+  if (missing.length > 0) {
+    const extra = await Post.find({
+      _id: { $in: missing },
+      ...Post.publishedFilter(),
+    }).select(postFields);
+    candidates.push(...extra);
+  }
+
+  const readers = new Map(
+    readNext.map(({ _id, readers }) => [_id.toString(), readers])
+  );
+  const maxReaders = Math.max(1, ...readers.values());
+  const tags = new Set(post.tags);
+  const now = Date.now();
+
+  const scored = candidates
+    .filter((candidate) => !candidate._id.equals(post._id))
+    .map((candidate) => {
+      const sharedTags = candidate.tags.filter((tag) => tags.has(tag)).length;
+      const sameCategory =
+        !!categoryId && !!candidate.category?.equals(categoryId);
+      const coReaders = readers.get(candidate._id.toString()) || 0;
+      const ageDays =
+        (now - (candidate.publishAt || candidate.createdAt)) / 86400000;
+
+      const score =
+        WEIGHTS.sharedTag * sharedTags +
+        WEIGHTS.sameCategory * (sameCategory ? 1 : 0) +
+        WEIGHTS.coReadership * (coReaders / maxReaders) +
+        WEIGHTS.recency * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+
+      return { post: candidate, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  await Post.populate(
+    scored.map(({ post }) => post),
+    [
+      { path: "category", select: "name slug" },
+      { path: "author", select: "fullName" },
+    ]
+  );
+
+  return scored.map(({ post, score }) => ({
+    ...post.toJSON(),
+    score: Math.round(score * 100) / 100,
+  }));
+};
@@ -0,0 +1,65 @@
+import ReviewEvent from "../models/review-event.model.js";
+import { REVISION_FIELDS } from "../models/revision.model.js";
+
+// Statuses that put a post in front of readers, now or at a set date
+const LIVE_STATUSES = ["published", "scheduled"];
+
+/**
+ * @desc Whether a user may publish and schedule posts directly. Others
+ * submit their drafts for review.
+ */
+export const canPublish = (user) => user?.role === "admin";
+
+/**
+ * @desc Whether a change asked for by a user would publish or schedule a
+ * post without going through review. Keeping a live post's status and
+ * publish date as they are is not a change.
+ * @param {Document} user - The user asking
+ * @param {string} status - The status asked for, if any
+ * @param {Date|null} publishAt - The publish date asked for, if any
+ * @param {Document|null} post - The post as it is, null for a new one
+ */
+export const bypassesReview = (user, status, publishAt, post = null) => {
+  if (canPublish(user) || !LIVE_STATUSES.includes(status)) return false;
+  if (!post || status !== post.status) return true;
+  return !!publishAt && publishAt.getTime() !== post.publishAt?.getTime();
+};
+
+/**
+ * @desc Bring the review of a post changed directly, rather than through
+ * its review, in line with the change: a pending review is moot once the
+ * status changes, and an approval once the status changes or the text is
+ * edited. Call with the changes set, before saving.
+ * @param {Document} post - The changed post
+ * @param {string|null} from - Its status before the changes, null if new
+ * @returns {string[]} The actions to record with recordReview once saved
+ */
+export const settleReview = (post, from) => {
+  const actions = [];
+  const statusChanged = post.status !== from;
+  if (statusChanged) actions.push("status");
+
+  const edited = !post.isNew && post.isModified(REVISION_FIELDS);
+  const { status } = post.review;
+  if (
+    (status === "pending" && statusChanged) ||
+    (status === "approved" && (statusChanged || edited))
+  ) {
+    post.review.status = null;
+    actions.push("reset");
+  }
+  return actions;
+};
+
+/**
+ * @desc Record the actions settleReview returned, once the post is saved
+ * @param {Document} post - The saved post
+ * @param {string[]} actions - From settleReview
+ * @param {ObjectId} actor - The user who changed the post
+ * @param {string|null} from - The post's status before the changes
+ */
+export const recordReview = async (post, actions, actor, from) => {
+  for (const action of actions) {
+    await ReviewEvent.record(post, action, actor, { from });
+  }
+};
@@ -0,0 +1,103 @@
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+/**
+ * @desc Fold a single character to its unaccented, lowercase form.
+ * Vietnamese "đ" is a separate letter rather than an accent, so it is mapped by hand.
+ */
+const foldChar = (char) =>
+  char
+    .normalize("NFD")
+    .replace(COMBINING_MARKS, "")
+    .replace(/[đĐ]/g, "d")
+    .toLowerCase();
+
+/**
+ * @desc Normalize text for searching: lowercase, without diacritics
+ * @param {string|string[]} value - The text (or list of texts) to normalize
+ * @returns {string} The normalized text
+ */
+export const normalizeText = (value) => {
+  const text = Array.isArray(value) ? value.join(" ") : value || "";
+  return Array.from(text).map(foldChar).join("");
+};
+
+/**
+ * @desc Split a search query into normalized terms
+ * @param {string} search - The raw search query
+ * @returns {string[]} Unique, non-empty terms
+ */
+export const searchTerms = (search) => [
+  ...new Set(
+    normalizeText(search)
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+  ),
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * @desc Build an HTML-escaped snippet around the first matches of the terms,
+ * wrapping every match in <mark>. Matching ignores case and diacritics.
+ * @param {string} text - The original text
+ * @param {string[]} terms - Normalized search terms
+ * @param {number} radius - Characters of context kept on each side of the first match
+ * @returns {string|null} The highlighted snippet, or null when nothing matches
+ */
+export const highlight = (text, terms, radius = 80) => {
+  if (!text || terms.length === 0) return null;
+
+  // Normalize character by character, so positions map back to the original
+  const chars = Array.from(text);
+  const folded = chars.map(foldChar);
+  const offsets = [];
+  let normalized = "";
+  folded.forEach((part, index) => {
+    for (let i = 0; i < part.length; i++) offsets.push(index);
+    normalized += part;
+  });
+
+  // Whole words only, like the text index
+  const matches = [];
+  terms.forEach((term) => {
+    const pattern = new RegExp(
+      `(?<![\\p{L}\\p{N}])${escapeRegex(term)}(?![\\p{L}\\p{N}])`,
+      "gu"
+    );
+    for (const match of normalized.matchAll(pattern)) {
+      const position = match.index;
+      matches.push([
+        offsets[position],
+        offsets[position + term.length - 1] + 1,
+      ]);
+    }
+  });
+
+  if (matches.length === 0) return null;
+  matches.sort((a, b) => a[0] - b[0]);
+
+  const start = Math.max(0, matches[0][0] - radius);
+  const end = Math.min(chars.length, matches[0][1] + radius);
+
+  let snippet = start > 0 ? "…" : "";
+  let cursor = start;
+  matches
+    .filter(([from, to]) => from >= start && to <= end)
+    .forEach(([from, to]) => {
+      if (from < cursor) return; // Overlapping match
+      snippet += escapeHtml(chars.slice(cursor, from).join(""));
+      snippet += `<mark>${escapeHtml(chars.slice(from, to).join(""))}</mark>`;
+      cursor = to;
+    });
+  snippet += escapeHtml(chars.slice(cursor, end).join(""));
+  if (end < chars.length) snippet += "…";
+
+  return snippet;
+};
@@ -0,0 +1,174 @@
+import mongoose from "mongoose";
+import { escapeXml } from "./xml.js";
+import { siteName, postUrl, categoryUrl } from "./links.js";
+
+export const TWITTER_CARDS = ["summary", "summary_large_image"];
+
+// Lengths search engines show before cutting titles and descriptions
+export const META_TITLE_LENGTH = 70;
+export const META_DESCRIPTION_LENGTH = 160;
+
+/**
+ * @desc Search and social metadata of a post or category. Every field is
+ * optional: empty ones fall back to values derived from the document.
+ */
+export const seoSchema = new mongoose.Schema(
+  {
+    metaTitle: {
+      type: String,
+      trim: true,
+      maxlength: META_TITLE_LENGTH,
+      default: "",
+    },
+    metaDescription: {
+      type: String,
+      trim: true,
+      maxlength: META_DESCRIPTION_LENGTH,
+      default: "",
+    },
+    canonicalUrl: { type: String, trim: true, default: "" },
+    ogImage: { type: String, trim: true, default: "" },
+    twitterCard: {
+      type: String,
+      enum: [...TWITTER_CARDS, null],
+      default: null,
+    },
+    noindex: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const truncate = (text = "", length) =>
+  text.length <= length ? text : `${text.slice(0, length - 1).trimEnd()}…`;
+
+/**
+ * @desc Fill in the metadata left empty from the fields of the document
+ */
+const withDefaults = (seo = {}, { title, description, url, image }) => {
+  const ogImage = seo.ogImage || image || "";
+  return {
+    metaTitle: seo.metaTitle || truncate(title, META_TITLE_LENGTH),
+    metaDescription:
+      seo.metaDescription || truncate(description, META_DESCRIPTION_LENGTH),
+    canonicalUrl: seo.canonicalUrl || url,
+    ogImage,
+    twitterCard:
+      seo.twitterCard || (ogImage ? "summary_large_image" : "summary"),
+    noindex: !!seo.noindex,
+  };
+};
+
+/**
+ * @desc Metadata of a post, with defaults taken from its title,
+ * description, slug and thumbnail
+ */
+export const postSeo = (post) =>
+  withDefaults(post.seo, {
+    title: post.title,
+    description: post.description,
+    url: postUrl(post.slug),
+    image: post.thumbnail,
+  });
+
+/**
+ * @desc Metadata of a category, with defaults taken from its name,
+ * description and slug, in the locale it is shown in
+ * @param {Object} category - The category, as returned by localize()
+ */
+export const categorySeo = (category) =>
+  withDefaults(category.seo, {
+    title: `${category.name} - ${siteName()}`,
+    description: category.description,
+    url: categoryUrl(category.slug),
+  });
+
+/**
+ * @desc Head tags of a post page, as a list of tags with their attributes
+ * @param {Document} post - The post, with its category and author populated
+ * @param {Object} seo - The post's metadata, from postSeo()
+ * @param {Array<Object>} translations - Other versions of the post
+ */
+export const postHeadTags = (post, seo, translations = []) => {
+  const meta = (key, name, content) =>
+    content ? [{ tag: "meta", attributes: { [key]: name, content } }] : [];
+  const published = post.publishAt || post.createdAt;
+
+  return [
+    { tag: "title", content: seo.metaTitle },
+    ...meta("name", "description", seo.metaDescription),
+    { tag: "link", attributes: { rel: "canonical", href: seo.canonicalUrl } },
+    ...meta("name", "robots", seo.noindex && "noindex, nofollow"),
+    ...meta("property", "og:type", "article"),
+    ...meta("property", "og:site_name", siteName()),
+    ...meta("property", "og:title", seo.metaTitle),
+    ...meta("property", "og:description", seo.metaDescription),
+    ...meta("property", "og:url", seo.canonicalUrl),
+    ...meta("property", "og:image", seo.ogImage),
+    ...meta("property", "og:locale", post.locale),
+    ...meta("property", "article:published_time", published?.toISOString()),
+    ...meta("property", "article:modified_time", post.updatedAt?.toISOString()),
+    ...meta("property", "article:author", post.author?.fullName),
+    ...meta("property", "article:section", post.category?.name),
+    ...(post.tags || []).flatMap((tag) => meta("property", "article:tag", tag)),
+    ...meta("name", "twitter:card", seo.twitterCard),
+    ...meta("name", "twitter:title", seo.metaTitle),
+    ...meta("name", "twitter:description", seo.metaDescription),
+    ...meta("name", "twitter:image", seo.ogImage),
+    // Every version of a translated post, itself included
+    ...(translations.length > 0 ? [post, ...translations] : []).map(
+      (version) => ({
+        tag: "link",
+        attributes: {
+          rel: "alternate",
+          hreflang: version.locale,
+          href: postUrl(version.slug),
+        },
+      })
+    ),
+  ];
+};
+
+/**
+ * @desc schema.org BlogPosting structured data of a post
+ * @param {Document} post - The post, with its category and author populated
+ * @param {Object} seo - The post's metadata, from postSeo()
+ */
+export const blogPosting = (post, seo) => ({
+  "@context": "https://schema.org",
+  "@type": "BlogPosting",
+  headline: truncate(post.title, 110),
+  description: seo.metaDescription,
+  image: seo.ogImage ? [seo.ogImage] : undefined,
+  datePublished: (post.publishAt || post.createdAt)?.toISOString(),
+  dateModified: post.updatedAt?.toISOString(),
+  author: post.author?.fullName
+    ? { "@type": "Person", name: post.author.fullName }
+    : undefined,
+  publisher: { "@type": "Organization", name: siteName() },
+  mainEntityOfPage: { "@type": "WebPage", "@id": seo.canonicalUrl },
+  url: seo.canonicalUrl,
+  inLanguage: post.locale,
+  articleSection: post.category?.name,
+  keywords: post.tags?.length ? post.tags.join(", ") : undefined,
+});
+
+/**
+ * @desc Render head tags and structured data as HTML, ready to be placed
+ * in a page's head
+ */
+export const renderHead = (tags, jsonLd) =>
+  [
+    ...tags.map(({ tag, attributes = {}, content }) => {
+      const attrs = Object.entries(attributes)
+        .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+        .join("");
+      return tag === "title"
+        ? `<title>${escapeXml(content)}</title>`
+        : `<${tag}${attrs}>`;
+    }),
+    // "<" is escaped so the data can never close the script element
+    `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(
+      /</g,
+      "\\u003c"
+    )}</script>`,
+  ].join("\n");
@@ -0,0 +1,47 @@
+import { escapeXml, lines } from "./xml.js";
+
+// The sitemap protocol allows up to 50,000 URLs per file; posts are split
+// well below that since each translation adds alternate links
+export const SITEMAP_SIZE = 5000;
+
+const SITEMAP_NAMESPACE = "http://www.sitemaps.org/schemas/sitemap/0.9";
+
+/**
+ * @desc Render a sitemap of pages
+ * @param {Array<Object>} urls - Pages with their loc, lastmod and the
+ * alternates in other languages, as {hreflang, href}
+ */
+export const renderUrlset = (urls) =>
+  lines(
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<urlset xmlns="${SITEMAP_NAMESPACE}" xmlns:xhtml="http://www.w3.org/1999/xhtml">`,
+    ...urls.map((url) =>
+      lines(
+        `  <url>`,
+        `    <loc>${escapeXml(url.loc)}</loc>`,
+        url.lastmod && `    <lastmod>${url.lastmod.toISOString()}</lastmod>`,
+        ...(url.alternates || []).map(
+          ({ hreflang, href }) =>
+            `    <xhtml:link rel="alternate" hreflang="${escapeXml(
+              hreflang
+            )}" href="${escapeXml(href)}"/>`
+        ),
+        `  </url>`
+      )
+    ),
+    `</urlset>`
+  );
+
+/**
+ * @desc Render a sitemap index pointing to other sitemaps
+ * @param {Array<string>} locs - URLs of the sitemaps
+ */
+export const renderIndex = (locs) =>
+  lines(
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<sitemapindex xmlns="${SITEMAP_NAMESPACE}">`,
+    ...locs.map(
+      (loc) => `  <sitemap>\n    <loc>${escapeXml(loc)}</loc>\n  </sitemap>`
+    ),
+    `</sitemapindex>`
+  );
@@ -0,0 +1,104 @@
+import slugify from "slugify";
+
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+export const toSlug = (text) =>
+  slugify(text || "", { lower: true, strict: true });
+
+/**
+ * @desc Find a slug not used by any other document, current or former,
+ * by appending -2, -3... to the base when needed
+ * @param {Model} Model - The model owning the slugs
+ * @param {string} base - The wanted slug
+ * @param {ObjectId} id - The document the slug is for
+ * @returns {Promise<string>} A free slug
+ */
+export const uniqueSlug = async (Model, base, id) => {
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+  const others = await Model.find({
+    _id: { $ne: id },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }],
+  })
+    // Trashed documents keep their slugs until they are purged
+    .setOptions({ withDeleted: true })
+    .select("slug previousSlugs")
+    .lean();
+
+  const taken = new Set(
+    others.flatMap(({ slug, previousSlugs = [] }) => [slug, ...previousSlugs])
+  );
+  if (!taken.has(base)) return base;
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+};
+
+/**
+ * @desc Pre-save hook giving a document a unique slug. An explicitly set
+ * slug wins, otherwise it is built from the source field when that changes.
+ * The replaced slug is kept in previousSlugs so old links can be redirected.
+ * @param {string} sourceField - The field the slug is built from
+ * @param {string} fallback - Slug used when the source has no usable characters
+ */
+export const slugHook = (sourceField, fallback) =>
+  async function () {
+    // Saving again after losing the slug to a concurrent save: look for the
+    // next free slug from the same base
+    const retrying =
+      !!this.$locals.slugBase &&
+      this.slug === this.$locals.slug &&
+      this.isModified("slug");
+    const custom = !retrying && this.isModified("slug") && this.slug;
+    if (!retrying && !custom && !this.isModified(sourceField)) return;
+
+    const base = retrying
+      ? this.$locals.slugBase
+      : toSlug(custom || this[sourceField]) || fallback;
+
+    let previous = null;
+    if (!this.isNew) {
+      const current = await this.constructor
+        .findById(this._id)
+        .select("slug")
+        .lean();
+      previous = current?.slug;
+    }
+
+    const slug = await uniqueSlug(this.constructor, base, this._id);
+    this.$locals.slugBase = base;
+    this.$locals.slug = slug;
+    if (slug === previous) {
+      this.slug = slug;
+      return;
+    }
+
+    const history = (this.previousSlugs || []).filter((old) => old !== slug);
+    if (previous && !history.includes(previous)) {
+      history.push(previous);
+    }
+    this.previousSlugs = history;
+    this.slug = slug;
+  };
+
+// Times a save is retried when a concurrent save took its slug
+const SLUG_SAVE_ATTEMPTS = 5;
+
+/**
+ * @desc Save a document using slugHook. The free slug is looked up before
+ * the save, so two documents saved at the same moment can pick the same
+ * one: the save that loses it on the unique index is retried with the next.
+ * @param {Document} doc - The document to save
+ * @param {Object} options - Options of save()
+ * @returns {Promise<Document>} The saved document
+ */
+export const saveWithSlug = async (doc, options) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await doc.save(options);
+    } catch (error) {
+      const slugTaken = error.code === 11000 && !!error.keyPattern?.slug;
+      if (!slugTaken || attempt >= SLUG_SAVE_ATTEMPTS) throw error;
+    }
+  }
+};
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// Queries that read documents, and so should not see trashed ones
+const READ_QUERIES = [
+  "count",
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+];
+
+/**
+ * @desc Mongoose plugin moving deleted documents to a trash instead of
+ * removing them. Trashed documents carry a deletedAt date and are left out
+ * of every read query and aggregation, unless the query filters on
+ * deletedAt itself or is run with the withDeleted option.
+ * @param {Schema} schema - The schema to extend
+ */
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  });
+
+  schema.pre(READ_QUERIES, function (next) {
+    if (!this.getOptions().withDeleted && !("deletedAt" in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre("aggregate", function (next) {
+    const [first] = this.pipeline();
+    if (this.options.withDeleted || first?.$match?.deletedAt !== undefined) {
+      return next();
+    }
+
+    // Added to a leading $match, which must stay first when it uses $text
+    if (first?.$match) {
+      first.$match.deletedAt = null;
+    } else {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  /**
+   * @desc Move the document to the trash
+   * @param {ObjectId} userId - The user deleting it
+   */
+  schema.methods.softDelete = function (userId = null) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  /**
+   * @desc Take the document out of the trash
+   */
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ validateBeforeSave: false });
+  };
+};
@@ -0,0 +1,165 @@
+import Post from "../models/post.model.js";
+import Category from "../models/category.model.js";
+import Comment from "../models/comment.model.js";
+import User from "../models/user.model.js";
+import Revision from "../models/revision.model.js";
+import Reaction from "../models/reaction.model.js";
+import Bookmark from "../models/bookmark.model.js";
+import ReadingList from "../models/reading-list.model.js";
+import Series from "../models/series.model.js";
+import PostRead from "../models/post-read.model.js";
+import PostView from "../models/post-view.model.js";
+import PreviewToken from "../models/preview-token.model.js";
+import PostDraft from "../models/post-draft.model.js";
+import ReviewEvent from "../models/review-event.model.js";
+import { enqueue } from "./queue.js";
+
+// Trashed items are purged for good after this many days
+export const TRASH_RETENTION_MS =
+  (parseInt(process.env.TRASH_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// How often trashed items past their retention period are looked for, in
+// case their scheduled purge was lost with the job queue
+const TRASH_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * @desc What can be trashed, with how to delete each kind for good along
+ * with the data that only makes sense with it. A type may also tell why an
+ * item cannot be purged yet.
+ */
+export const TRASH_TYPES = {
+  posts: {
+    Model: Post,
+    purge: async (post) => {
+      const id = post._id;
+      await post.deleteOne();
+
+      await Revision.deleteMany({ post: id });
+      await Reaction.deleteMany({ post: id });
+      await Bookmark.deleteMany({ post: id });
+      await ReadingList.updateMany(
+        { "posts.post": id },
+        { $pull: { posts: { post: id } } }
+      );
+      await Series.updateMany({ posts: id }, { $pull: { posts: id } });
+      await PostRead.deleteMany({ post: id });
+      await PostView.deleteMany({ post: id });
+      await PreviewToken.deleteMany({ post: id });
+      await PostDraft.deleteMany({ post: id });
+      await ReviewEvent.deleteMany({ post: id });
+      await Comment.deleteMany({ post: id });
+    },
+  },
+  categories: {
+    Model: Category,
+    // Posts need a category. Their posts are moved away when a category
+    // is trashed, but one may have been given posts since.
+    blocker: async (category) => {
+      const count = await Post.countDocuments({
+        category: category._id,
+      }).setOptions({ withDeleted: true });
+      return count > 0
+        ? `Category still has ${count} post(s), move them to another category first`
+        : null;
+    },
+    purge: (category) => category.deleteOne(),
+  },
+  comments: {
+    Model: Comment,
+    purge: async (comment) => {
+      await comment.deleteOne();
+      await Comment.deleteMany({ parentComment: comment._id });
+    },
+  },
+  users: {
+    Model: User,
+    purge: (user) => user.deleteOne(),
+  },
+};
+
+/**
+ * @desc When a trashed item will be purged
+ */
+export const purgeDate = (item) =>
+  new Date(item.deletedAt.getTime() + TRASH_RETENTION_MS);
+
+/**
+ * @desc Move an item to the trash and schedule its purge
+ * @param {string} type - A key of TRASH_TYPES
+ * @param {Document} item - The item to trash
+ * @param {ObjectId} userId - The user deleting it
+ */
+export const moveToTrash = async (type, item, userId) => {
+  await item.softDelete(userId);
+
+  // An item whose purge could not be scheduled can still be purged by hand
+  enqueue(
+    "trash.purge",
+    { type, id: item.id },
+    { delay: TRASH_RETENTION_MS }
+  ).catch((error) => console.error("Error scheduling trash purge:", error));
+};
+
+/**
+ * @desc Purge a trashed item unless its type blocks it
+ * @returns {Promise<string|null>} Why the item was kept, or null once purged
+ */
+export const purgeItem = async (type, item) => {
+  const { blocker, purge } = TRASH_TYPES[type];
+  const blocked = blocker ? await blocker(item) : null;
+  if (!blocked) await purge(item);
+  return blocked;
+};
+
+/**
+ * @desc Purge a trashed item whose retention period is over. An item that
+ * cannot be purged is taken out of the trash rather than kept there for
+ * good, since no later purge would succeed either.
+ * @returns {Promise<boolean>} Whether the item was purged
+ */
+export const expireItem = async (type, item) => {
+  const blocked = await purgeItem(type, item);
+  if (blocked) {
+    await item.restore();
+    console.log(`Trashed ${type} ${item.id} restored: ${blocked}`);
+  }
+  return !blocked;
+};
+
+/**
+ * @desc Purge every trashed item whose retention period is over
+ * @returns {Promise<number>} The number of items purged
+ */
+export const sweepTrash = async () => {
+  const before = new Date(Date.now() - TRASH_RETENTION_MS);
+  let purged = 0;
+
+  for (const [type, { Model }] of Object.entries(TRASH_TYPES)) {
+    const items = await Model.find({ deletedAt: { $ne: null, $lte: before } });
+    for (const item of items) {
+      try {
+        if (await expireItem(type, item)) purged++;
+      } catch (error) {
+        console.error(`Error purging ${type} ${item.id}:`, error);
+      }
+    }
+  }
+  return purged;
+};
+
+/**
+ * @desc Sweep the trash now and then periodically, next to the job worker
+ * @returns {Function} Stops the sweeps
+ */
+export const startTrashSweep = () => {
+  const sweep = () =>
+    sweepTrash()
+      .then((count) => {
+        if (count > 0) console.log(`🗑️ Purged ${count} trashed items`);
+      })
+      .catch((error) => console.error("❌ Trash sweep error:", error));
+
+  sweep();
+  const timer = setInterval(sweep, TRASH_SWEEP_INTERVAL_MS);
+  return () => clearInterval(timer);
+};
@@ -55,3 +55,43 @@ const upload = multer({
 });
 
 export default upload;
+
+/**
+ * @desc Middleware keeping a single uploaded file in memory while it is
+ * read, answering 400 when it is too large or of another kind
+ * @param {Array<string>} extensions - Accepted file extensions
+ * @param {number} maxSize - Max file size in bytes
+ */
+const memoryUpload = (extensions, maxSize) => {
+  const single = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize },
+    fileFilter: (req, file, cb) => {
+      const extname = path.extname(file.originalname).toLowerCase();
+      if (extensions.includes(extname)) {
+        cb(null, true);
+      } else {
+        cb(
+          new Error(`Only ${extensions.join(" and ")} files are allowed`),
+          false
+        );
+      }
+    },
+  }).single("file");
+
+  return (req, res, next) =>
+    single(req, res, (error) => {
+      if (error) {
+        return res
+          .status(400)
+          .json({ meta: { message: error.message, errors: true } });
+      }
+      next();
+    });
+};
+
+// Export file to import posts from
+export const importUpload = memoryUpload([".xml", ".zip"], 20 * 1024 * 1024);
+
+// Backup archive to restore
+export const backupUpload = memoryUpload([".zip"], 200 * 1024 * 1024);
@@ -0,0 +1,30 @@
+import crypto from "crypto";
+
+/**
+ * @desc Identify the reader of a request: the user ID when logged in,
+ * otherwise a hash of the IP address and user agent
+ * @param {Request} req - The Express request
+ * @returns {string} A stable visitor key
+ */
+export const visitorKey = (req) => {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+
+  const fingerprint = `${req.ip}|${req.headers["user-agent"] || ""}`;
+  const hash = crypto.createHash("sha256").update(fingerprint).digest("hex");
+  return `anon:${hash.slice(0, 32)}`;
+};
+
+const BOT_PATTERN =
+  /bot|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|monitor|curl|wget|python-requests|axios|node-fetch|go-http-client|okhttp|java\//i;
+
+/**
+ * @desc Whether a request comes from a crawler, monitor or script
+ * @param {Request} req - The Express request
+ * @returns {boolean}
+ */
+export const isBot = (req) => {
+  const userAgent = req.headers["user-agent"];
+  return !userAgent || BOT_PATTERN.test(userAgent);
+};
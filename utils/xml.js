@@ -0,0 +1,23 @@
+const XML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+// Control characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+/**
+ * @desc Escape text for use in XML content or attribute values
+ */
+export const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+/**
+ * @desc Join lines of XML, leaving out the optional ones that are empty
+ */
+export const lines = (...items) => items.filter(Boolean).join("\n");
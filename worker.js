@@ -0,0 +1,18 @@
+// Loaded first: job modules read their settings when imported
+import "dotenv/config";
+import mongoose from "mongoose";
+
+import { connectDB } from "./config/db.js";
+import { registerJobs } from "./jobs/index.js";
+import { startWorker } from "./utils/queue.js";
+import { startTrashSweep } from "./utils/trash.js";
+
+// MongoDB Configuration
+mongoose.set("strictQuery", true);
+connectDB();
+
+// Run background jobs apart from the API (start the API with JOB_WORKER=false)
+registerJobs();
+startWorker();
+startTrashSweep();
+console.log("🧰 Job worker started");